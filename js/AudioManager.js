@@ -32,7 +32,9 @@ export class AudioManager {
             this.masterGain.connect(this.context.destination);
 
             this.buffers = {};
-            this.loadMonsterSounds();
+            this.loadEnemySounds(this.game.enemyRegistry.getDefinitions());
+            this.loadWeaponSounds(this.game.gameData.weapons);
+            this.loadPickupSounds(this.game.gameData.pickups);
 
             this.initialized = true;
             console.log('Audio system initialized');
@@ -44,17 +46,29 @@ export class AudioManager {
         }
     }
 
-    loadMonsterSounds() {
-        this.loadSound('robot', 'assets/sounds/creepy-sound-creepy-robot-380620.mp3');
-        this.loadSound('ghost', 'assets/sounds/halloween-ghost-whisper-410557.mp3');
-        this.loadSound('zombie', 'assets/sounds/zombie-sound-357975.mp3');
-        this.loadSound('demon', 'assets/sounds/horror-demonic-sound-1-vol-001-140997.mp3');
-
-        // Weapon Sounds
-        this.loadSound('pistol-shot', 'assets/sounds/pistol-shot.mp3');
-        this.loadSound('pistol-reload', 'assets/sounds/pistol-reload.mp3');
-        this.loadSound('ak47-shot', 'assets/sounds/ak47-shot.mp3');
-        this.loadSound('ak47-reload', 'assets/sounds/ak47-reload.mp3');
+    /**
+     * Enemy sound keys come from the enemy type definitions and map to assets/sounds/<key>.mp3
+     */
+    loadEnemySounds(defs) {
+        const keys = new Set(defs.map(def => def.sound).filter(Boolean));
+        keys.forEach(key => this.loadSound(key, `assets/sounds/${key}.mp3`));
+    }
+
+    /**
+     * Weapon sound keys come from the weapon definitions and map to assets/sounds/<key>.mp3
+     */
+    loadWeaponSounds(weapons) {
+        const keys = new Set();
+        weapons.forEach(weapon => Object.values(weapon.sounds || {}).forEach(key => keys.add(key)));
+        keys.forEach(key => this.loadSound(key, `assets/sounds/${key}.mp3`));
+    }
+
+    /**
+     * Pickup sounds with a key map to assets/sounds/<key>.mp3 (the rest are synthesized tones)
+     */
+    loadPickupSounds(pickups) {
+        const keys = new Set(Object.values(pickups).map(pickup => pickup.sound.key).filter(Boolean));
+        keys.forEach(key => this.loadSound(key, `assets/sounds/${key}.mp3`));
     }
 
     loadSound(key, url) {
@@ -76,20 +90,12 @@ export class AudioManager {
      * Gunshot sound - short burst of filtered noise
      */
     /**
-     * Play weapon-specific sound
+     * Play weapon-specific sound (action is a key of weapon.sounds, e.g. 'shot' or 'reload')
      */
-    playWeaponAction(weaponName, action) {
+    playWeaponAction(weapon, action) {
         if (!this.initialized) return;
 
-        let key = '';
-        const name = weaponName.toLowerCase();
-
-        // Map weapon names to sound keys
-        if (name.includes('pistol')) {
-            key = `pistol-${action}`;
-        } else if (name.includes('rifle') || name.includes('ak47')) {
-            key = `ak47-${action}`;
-        }
+        const key = weapon.sounds ? weapon.sounds[action] : null;
 
         // Try to play loaded buffer
         if (key && this.buffers[key]) {
@@ -277,15 +283,15 @@ export class AudioManager {
     }
 
     /**
-     * Enemy attack/growl sound
+     * Enemy attack/growl sound (key = the type's sound, enemies.<type>.sound)
      */
-    playEnemyAttack(type) {
+    playEnemyAttack(key) {
         if (!this.initialized) return;
 
         // Try to play loaded sound
-        if (type && this.buffers[type]) {
+        if (key && this.buffers[key]) {
             const source = this.context.createBufferSource();
-            source.buffer = this.buffers[type];
+            source.buffer = this.buffers[key];
 
             const gain = this.context.createGain();
             gain.gain.value = 0.6 * this.sfxVolume;
@@ -351,6 +357,28 @@ export class AudioManager {
         osc.stop(now + 0.08);
     }
 
+    /**
+     * Pickup sound (pickups.<type>.sound): the loaded key if there is one, else its tone
+     */
+    playPickup(sound) {
+        if (!this.initialized) return;
+
+        if (sound.key && this.buffers[sound.key]) {
+            const source = this.context.createBufferSource();
+            source.buffer = this.buffers[sound.key];
+
+            const gain = this.context.createGain();
+            gain.gain.value = sound.volume * this.sfxVolume;
+
+            source.connect(gain);
+            gain.connect(this.masterGain);
+            source.start();
+            return;
+        }
+
+        this.playTone(sound.tone, sound.duration, sound.volume, sound.wave);
+    }
+
     /**
      * Jump sound
      */
@@ -0,0 +1,129 @@
+import { Enemy } from './Enemy.js';
+
+/**
+ * Boss class - an oversized Enemy defined in data/game.json (bosses.list) that moves
+ * through phases at health thresholds, summons minions and drives the HUD boss bar.
+ */
+export class Boss extends Enemy {
+    constructor(game, position, def) {
+        super(game, position, def.type);
+
+        this.def = def;
+        this.isBoss = true;
+        this.name = def.name;
+        this.phaseIndex = 0; // Next entry of def.phases to enter
+
+        this.applyBossStats();
+
+        // DOM
+        this.bossBar = document.getElementById('boss-bar');
+        this.bossName = document.getElementById('boss-name');
+        this.bossBarFill = document.getElementById('boss-bar-fill');
+    }
+
+    applyBossStats() {
+        const def = this.def;
+        const hpMult = this.game.gameData.tuning.enemyHpMult;
+
+        this.health = Math.round(def.health * hpMult);
+        this.maxHealth = this.health;
+        this.damage = def.damage;
+        this.speed = def.speed;
+        this.chaseSpeed = def.chaseSpeed;
+        this.detectionRange = def.detectionRange;
+        this.loseInterestRange = def.detectionRange * 1.5;
+        this.collisionRadius = 0.5 * def.scale;
+
+        this.attackConfig = def.attack;
+        this.attackRange = def.attack.range;
+        this.attackRate = def.attack.cooldown;
+    }
+
+    init() {
+        super.init();
+
+        this.mesh.scale.setScalar(this.def.scale);
+
+        // The screen-wide bar replaces the overhead one
+        this.healthBar.visible = false;
+        this.healthBarBg.visible = false;
+
+        this.bossName.textContent = this.name;
+        this.bossBar.classList.remove('hidden');
+        this.updateBossBar();
+    }
+
+    takeDamage(amount, crit = false) {
+        if (this.state === Enemy.STATE.DEAD) return;
+
+        super.takeDamage(amount, crit);
+        this.updateBossBar();
+
+        if (this.state !== Enemy.STATE.DEAD) this.checkPhase();
+    }
+
+    heal(amount) {
+        super.heal(amount);
+        this.updateBossBar();
+    }
+
+    updateBossBar() {
+        const healthPercent = Math.max(0, this.health / this.maxHealth);
+        this.bossBarFill.style.width = `${healthPercent * 100}%`;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // PHASES
+    // ═══════════════════════════════════════════════════════════
+
+    checkPhase() {
+        const phases = this.def.phases;
+        const healthPercent = this.health / this.maxHealth;
+
+        // A big hit can skip straight through several thresholds
+        while (this.phaseIndex < phases.length && healthPercent <= phases[this.phaseIndex].healthBelow) {
+            this.enterPhase(phases[this.phaseIndex]);
+            this.phaseIndex++;
+        }
+    }
+
+    enterPhase(phase) {
+        this.speed *= phase.speedMult;
+        this.chaseSpeed *= phase.speedMult;
+        this.attackRate *= phase.cooldownMult;
+
+        console.log(`${this.name} entered phase ${this.phaseIndex + 2}`);
+        this.game.enemyManager.showNotification(phase.message || `${this.name} grows stronger!`);
+        if (this.game.audioManager) this.game.audioManager.playTone(90, 0.6, 0.5, 'sawtooth');
+
+        this.bossBar.classList.add('enraged');
+
+        if (phase.summonType && phase.summonCount > 0) {
+            this.game.enemyManager.spawnMinions(phase.summonType, phase.summonCount, this.mesh.position);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // DEATH
+    // ═══════════════════════════════════════════════════════════
+
+    die() {
+        super.die();
+        this.hideBossBar();
+    }
+
+    // bosses.list[].lootTable (guaranteed chest) instead of the base type's table
+    getLootTable() {
+        return this.def.lootTable;
+    }
+
+    dispose() {
+        this.hideBossBar();
+        super.dispose();
+    }
+
+    hideBossBar() {
+        this.bossBar.classList.add('hidden');
+        this.bossBar.classList.remove('enraged');
+    }
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { StatusEffects } from './StatusEffects.js';
 
 /**
  * Enemy class - AI-controlled enemy with patrol/chase/attack behaviors
@@ -13,7 +14,14 @@ export class Enemy {
         DEAD: 'dead'
     };
 
-    // Enemy Types
+    // Hit zones (damage multipliers live in data/game.json combat.hitZones)
+    static HIT_ZONE = {
+        HEAD: 'head',
+        BODY: 'body',
+        LIMB: 'limb'
+    };
+
+    // Built-in types (data/game.json enemies); EnemyRegistry may hold more
     static TYPE = {
         ROBOT: 'robot',
         GHOST: 'ghost',
@@ -26,9 +34,13 @@ export class Enemy {
         this.mesh = null;
         this.position = position.clone();
 
-        // Assign random type if not specified
-        const types = Object.values(Enemy.TYPE);
-        this.type = type || types[Math.floor(Math.random() * types.length)];
+        // Assign random type if not specified (or not registered)
+        const registry = game.enemyRegistry;
+        if (type && !registry.has(type)) console.warn(`Unknown enemy type "${type}", using random`);
+        this.type = type && registry.has(type) ? type : registry.randomType();
+        this.typeDef = registry.get(this.type);
+        this.isBoss = false;
+        this.isMinion = false; // Summoned by a boss; doesn't count toward the wave total
 
         // AI state
         this.state = Enemy.STATE.PATROL;
@@ -44,11 +56,17 @@ export class Enemy {
         this.damage = 10;
         this.attackCooldown = 0;
         this.attackRate = 1;
+        this.attackConfig = null;   // enemies.<type>.attack from data/game.json
+        this.windupTimer = 0;       // Ranged: counts down to the shot once a wind-up starts
 
         // Movement (vary by type)
         this.speed = 3;
         this.chaseSpeed = 5;
         this.rotationSpeed = 5;
+        this.collisionRadius = 0.5;
+        this.damageTakenMult = 1;   // Wave modifiers (armored < 1)
+        this.modifiers = [];
+        this.statusEffects = new StatusEffects(game, this);
 
         // Apply type-specific stats
         this.applyTypeStats();
@@ -57,6 +75,14 @@ export class Enemy {
         this.stateTimer = 0;
         this.patrolWaitTime = 2;
 
+        // Navigation (World.navGrid)
+        this.path = null;           // Smoothed waypoints to pathGoal (null: no route was found)
+        this.pathIndex = 0;
+        this.pathGoal = null;       // Target of the last search, successful or not
+        this.repathTimer = 0;
+        this.repathInterval = 0.5;  // Seconds between re-plans while the goal keeps moving
+        this.repathDistance = 2;    // Goal has to move this far before we re-plan
+
         // Visual elements
         this.healthBar = null;
         this.healthBarBg = null;
@@ -65,39 +91,23 @@ export class Enemy {
     }
 
     applyTypeStats() {
-        switch (this.type) {
-            case Enemy.TYPE.ROBOT:
-                this.health = 150;
-                this.maxHealth = 150;
-                this.damage = 15;
-                this.speed = 2;
-                this.chaseSpeed = 4;
-                break;
-            case Enemy.TYPE.GHOST:
-                this.health = 60;
-                this.maxHealth = 60;
-                this.damage = 8;
-                this.speed = 4;
-                this.chaseSpeed = 7;
-                this.detectionRange = 25;
-                break;
-            case Enemy.TYPE.ZOMBIE:
-                this.health = 120;
-                this.maxHealth = 120;
-                this.damage = 12;
-                this.speed = 1.5;
-                this.chaseSpeed = 3;
-                this.attackRate = 1.5;
-                break;
-            case Enemy.TYPE.DEMON:
-                this.health = 100;
-                this.maxHealth = 100;
-                this.damage = 20;
-                this.speed = 3.5;
-                this.chaseSpeed = 6;
-                this.attackRate = 0.8;
-                break;
-        }
+        const def = this.typeDef;
+        this.health = def.health;
+        this.damage = def.damage;
+        this.speed = def.speed;
+        this.chaseSpeed = def.chaseSpeed;
+        this.detectionRange = def.detectionRange;
+        this.loseInterestRange = def.loseInterestRange;
+        this.collisionRadius = def.collisionRadius;
+
+        this.attackConfig = def.attack;
+        this.attackRange = def.attack.range;
+        this.attackRate = def.attack.cooldown;
+
+        // Global balance multiplier from data/game.json
+        const hpMult = this.game.gameData.tuning.enemyHpMult;
+        this.health = Math.round(this.health * hpMult);
+        this.maxHealth = this.health;
     }
 
     init() {
@@ -106,334 +116,56 @@ export class Enemy {
         this.pickNewPatrolTarget();
     }
 
-    createMesh() {
-        this.mesh = new THREE.Group();
-        this.mesh.position.copy(this.position);
-        this.mesh.userData.enemy = this;
+    /**
+     * Apply wave-script modifiers (data/waves.json) on top of type stats. Call after init().
+     */
+    applyModifiers(modifiers) {
+        for (const modifier of modifiers) {
+            this.health = Math.round(this.health * modifier.healthMult);
+            this.maxHealth = this.health;
+            this.speed *= modifier.speedMult;
+            this.chaseSpeed *= modifier.speedMult;
+            this.damage *= modifier.damageMult;
+            this.damageTakenMult *= modifier.damageTakenMult;
+
+            if (modifier.scale !== 1) {
+                this.mesh.scale.multiplyScalar(modifier.scale);
+                this.collisionRadius *= modifier.scale;
+            }
+            if (modifier.color) this.addAura(modifier.color);
 
-        switch (this.type) {
-            case Enemy.TYPE.ROBOT:
-                this.createRobotMesh();
-                break;
-            case Enemy.TYPE.GHOST:
-                this.createGhostMesh();
-                break;
-            case Enemy.TYPE.ZOMBIE:
-                this.createZombieMesh();
-                break;
-            case Enemy.TYPE.DEMON:
-                this.createDemonMesh();
-                break;
+            this.modifiers.push(modifier);
         }
-
-        this.game.scene.add(this.mesh);
     }
 
-    // ═══════════════════════════════════════════════════════════
-    // ROBOT - Angular metallic cubes
-    // ═══════════════════════════════════════════════════════════
-    createRobotMesh() {
-        // Metallic body cube
-        const bodyGeometry = new THREE.BoxGeometry(0.8, 1.0, 0.5);
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: 0x4a5568,
-            roughness: 0.3,
-            metalness: 0.8
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 1.0;
-        body.castShadow = true;
-        body.name = 'enemy_body';
-        this.mesh.add(body);
-
-        // Head cube
-        const headGeometry = new THREE.BoxGeometry(0.5, 0.4, 0.4);
-        const headMaterial = new THREE.MeshStandardMaterial({
-            color: 0x2d3748,
-            roughness: 0.2,
-            metalness: 0.9
-        });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.y = 1.7;
-        head.castShadow = true;
-        head.name = 'enemy_head';
-        this.mesh.add(head);
-
-        // Glowing visor
-        const visorGeometry = new THREE.BoxGeometry(0.4, 0.1, 0.05);
-        const visorMaterial = new THREE.MeshBasicMaterial({ color: 0x00ffff });
-        const visor = new THREE.Mesh(visorGeometry, visorMaterial);
-        visor.position.set(0, 1.72, 0.2);
-        this.mesh.add(visor);
-
-        // Robot arms (angular)
-        const armGeometry = new THREE.BoxGeometry(0.15, 0.5, 0.15);
-        const armMaterial = new THREE.MeshStandardMaterial({
-            color: 0x718096,
-            roughness: 0.4,
-            metalness: 0.7
-        });
-
-        const leftArm = new THREE.Mesh(armGeometry, armMaterial);
-        leftArm.position.set(-0.55, 1.0, 0);
-        leftArm.castShadow = true;
-        this.mesh.add(leftArm);
-
-        const rightArm = new THREE.Mesh(armGeometry, armMaterial);
-        rightArm.position.set(0.55, 1.0, 0);
-        rightArm.castShadow = true;
-        this.mesh.add(rightArm);
-
-        // Robot legs
-        const legGeometry = new THREE.BoxGeometry(0.2, 0.5, 0.2);
-
-        const leftLeg = new THREE.Mesh(legGeometry, armMaterial);
-        leftLeg.position.set(-0.2, 0.25, 0);
-        leftLeg.castShadow = true;
-        this.mesh.add(leftLeg);
-
-        const rightLeg = new THREE.Mesh(legGeometry, armMaterial);
-        rightLeg.position.set(0.2, 0.25, 0);
-        rightLeg.castShadow = true;
-        this.mesh.add(rightLeg);
-    }
-
-    // ═══════════════════════════════════════════════════════════
-    // GHOST - Ethereal floating specter
-    // ═══════════════════════════════════════════════════════════
-    createGhostMesh() {
-        // Main ghostly body (tapered sphere)
-        const bodyGeometry = new THREE.SphereGeometry(0.5, 16, 16);
-        bodyGeometry.scale(1, 1.5, 0.8);
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: 0xaaddff,
-            roughness: 0.1,
-            metalness: 0.0,
+    /**
+     * Coloured ring at the feet marking a modified enemy (not hittable)
+     */
+    addAura(color) {
+        const ringGeometry = new THREE.RingGeometry(0.6, 0.8, 24);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: new THREE.Color(color),
             transparent: true,
-            opacity: 0.7
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 1.5;
-        body.name = 'enemy_body';
-        this.mesh.add(body);
-
-        // Trailing wisps
-        for (let i = 0; i < 3; i++) {
-            const wispGeometry = new THREE.ConeGeometry(0.15, 0.6, 8);
-            const wispMaterial = new THREE.MeshBasicMaterial({
-                color: 0x88ccff,
-                transparent: true,
-                opacity: 0.5
-            });
-            const wisp = new THREE.Mesh(wispGeometry, wispMaterial);
-            wisp.position.set((i - 1) * 0.25, 0.8, 0);
-            wisp.rotation.x = Math.PI;
-            this.mesh.add(wisp);
-        }
-
-        // Glowing eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-        const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
-
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.15, 1.6, 0.35);
-        this.mesh.add(leftEye);
-
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.15, 1.6, 0.35);
-        this.mesh.add(rightEye);
-
-        // Add glow light
-        this.glowLight = new THREE.PointLight(0x88ccff, 0.5, 5);
-        this.glowLight.position.set(0, 1.5, 0);
-        this.mesh.add(this.glowLight);
-
-        // Float offset for animation
-        this.floatOffset = Math.random() * Math.PI * 2;
-    }
-
-    // ═══════════════════════════════════════════════════════════
-    // ZOMBIE - Shambling undead
-    // ═══════════════════════════════════════════════════════════
-    createZombieMesh() {
-        // Decayed body
-        const bodyGeometry = new THREE.CylinderGeometry(0.35, 0.4, 1.1, 8);
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: 0x556b2f,
-            roughness: 0.9,
-            metalness: 0.0
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 0.85;
-        body.rotation.z = 0.1; // Slightly hunched
-        body.castShadow = true;
-        body.name = 'enemy_body';
-        this.mesh.add(body);
-
-        // Rotting head
-        const headGeometry = new THREE.SphereGeometry(0.28, 10, 10);
-        const headMaterial = new THREE.MeshStandardMaterial({
-            color: 0x8b9a6b,
-            roughness: 0.95,
-            metalness: 0.0
-        });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.set(0.05, 1.55, 0);
-        head.scale.set(1, 0.9, 1);
-        head.castShadow = true;
-        head.name = 'enemy_head';
-        this.mesh.add(head);
-
-        // Glowing dead eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.05, 6, 6);
-        const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xccff00 });
-
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.08, 1.58, 0.22);
-        this.mesh.add(leftEye);
-
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.12, 1.55, 0.22);
-        this.mesh.add(rightEye);
-
-        // Tattered arms (asymmetric)
-        const armMaterial = new THREE.MeshStandardMaterial({
-            color: 0x4a5a3f,
-            roughness: 0.9
-        });
-
-        const leftArmGeometry = new THREE.CylinderGeometry(0.08, 0.1, 0.7, 6);
-        const leftArm = new THREE.Mesh(leftArmGeometry, armMaterial);
-        leftArm.position.set(-0.45, 0.95, 0.2);
-        leftArm.rotation.set(0.5, 0, 0.4);
-        leftArm.castShadow = true;
-        this.mesh.add(leftArm);
-
-        const rightArmGeometry = new THREE.CylinderGeometry(0.1, 0.08, 0.6, 6);
-        const rightArm = new THREE.Mesh(rightArmGeometry, armMaterial);
-        rightArm.position.set(0.45, 1.0, 0.1);
-        rightArm.rotation.set(0.3, 0, -0.3);
-        rightArm.castShadow = true;
-        this.mesh.add(rightArm);
-
-        // Shambling legs
-        const legGeometry = new THREE.CylinderGeometry(0.1, 0.12, 0.6, 6);
-
-        const leftLeg = new THREE.Mesh(legGeometry, armMaterial);
-        leftLeg.position.set(-0.15, 0.3, 0);
-        leftLeg.rotation.z = 0.1;
-        leftLeg.castShadow = true;
-        this.mesh.add(leftLeg);
-
-        const rightLeg = new THREE.Mesh(legGeometry, armMaterial);
-        rightLeg.position.set(0.18, 0.3, 0);
-        rightLeg.rotation.z = -0.05;
-        rightLeg.castShadow = true;
-        this.mesh.add(rightLeg);
-    }
-
-    // ═══════════════════════════════════════════════════════════
-    // DEMON - Fiery hellspawn
-    // ═══════════════════════════════════════════════════════════
-    createDemonMesh() {
-        // Fiery body
-        const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.45, 1.3, 8);
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: 0x8b0000,
-            roughness: 0.5,
-            metalness: 0.3,
-            emissive: 0x330000,
-            emissiveIntensity: 0.3
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 0.95;
-        body.castShadow = true;
-        body.name = 'enemy_body';
-        this.mesh.add(body);
-
-        // Demonic head
-        const headGeometry = new THREE.SphereGeometry(0.3, 12, 12);
-        const headMaterial = new THREE.MeshStandardMaterial({
-            color: 0xaa2222,
-            roughness: 0.4,
-            metalness: 0.2,
-            emissive: 0x440000,
-            emissiveIntensity: 0.2
-        });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.y = 1.75;
-        head.castShadow = true;
-        head.name = 'enemy_head';
-        this.mesh.add(head);
-
-        // Horns
-        const hornGeometry = new THREE.ConeGeometry(0.06, 0.3, 6);
-        const hornMaterial = new THREE.MeshStandardMaterial({
-            color: 0x1a1a1a,
-            roughness: 0.3,
-            metalness: 0.5
-        });
-
-        const leftHorn = new THREE.Mesh(hornGeometry, hornMaterial);
-        leftHorn.position.set(-0.2, 2.0, 0);
-        leftHorn.rotation.z = 0.3;
-        this.mesh.add(leftHorn);
-
-        const rightHorn = new THREE.Mesh(hornGeometry, hornMaterial);
-        rightHorn.position.set(0.2, 2.0, 0);
-        rightHorn.rotation.z = -0.3;
-        this.mesh.add(rightHorn);
-
-        // Burning eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.07, 8, 8);
-        const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xff6600 });
-
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.12, 1.78, 0.25);
-        this.mesh.add(leftEye);
-
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.12, 1.78, 0.25);
-        this.mesh.add(rightEye);
-
-        // Clawed arms
-        const armGeometry = new THREE.CylinderGeometry(0.08, 0.12, 0.7, 6);
-        const armMaterial = new THREE.MeshStandardMaterial({
-            color: 0x660000,
-            roughness: 0.6,
-            emissive: 0x220000,
-            emissiveIntensity: 0.2
+            opacity: 0.7,
+            side: THREE.DoubleSide
         });
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = 0.05 + this.modifiers.length * 0.02; // Stack rings without z-fighting
+        ring.scale.setScalar(1 + this.modifiers.length * 0.3);
+        ring.raycast = () => {}; // Shots pass through
+        this.mesh.add(ring);
+    }
 
-        const leftArm = new THREE.Mesh(armGeometry, armMaterial);
-        leftArm.position.set(-0.5, 1.1, 0);
-        leftArm.rotation.z = 0.4;
-        leftArm.castShadow = true;
-        this.mesh.add(leftArm);
-
-        const rightArm = new THREE.Mesh(armGeometry, armMaterial);
-        rightArm.position.set(0.5, 1.1, 0);
-        rightArm.rotation.z = -0.4;
-        rightArm.castShadow = true;
-        this.mesh.add(rightArm);
-
-        // Legs
-        const legGeometry = new THREE.CylinderGeometry(0.1, 0.14, 0.6, 6);
-
-        const leftLeg = new THREE.Mesh(legGeometry, armMaterial);
-        leftLeg.position.set(-0.18, 0.3, 0);
-        leftLeg.castShadow = true;
-        this.mesh.add(leftLeg);
+    createMesh() {
+        this.mesh = new THREE.Group();
+        this.mesh.position.copy(this.position);
+        this.mesh.userData.enemy = this;
 
-        const rightLeg = new THREE.Mesh(legGeometry, armMaterial);
-        rightLeg.position.set(0.18, 0.3, 0);
-        rightLeg.castShadow = true;
-        this.mesh.add(rightLeg);
+        // Parts come from the type's mesh factory or GLB (EnemyRegistry)
+        this.game.enemyRegistry.buildMesh(this);
 
-        // Add fire glow
-        this.glowLight = new THREE.PointLight(0xff4400, 0.8, 8);
-        this.glowLight.position.set(0, 1.2, 0);
-        this.mesh.add(this.glowLight);
+        this.game.scene.add(this.mesh);
     }
 
     createHealthBar() {
@@ -460,6 +192,19 @@ export class Enemy {
     }
 
     pickNewPatrolTarget() {
+        this.path = null;
+        this.pathGoal = null; // Plan to the new target on the next step
+
+        // Prefer a reachable point when the nav grid is baked
+        const navGrid = this.game.world.navGrid;
+        if (navGrid.ready) {
+            const point = navGrid.randomWalkablePointNear(this.position, this.patrolRadius);
+            if (point) {
+                this.targetPosition = point;
+                return;
+            }
+        }
+
         // Random point within patrol radius of spawn
         const angle = Math.random() * Math.PI * 2;
         const distance = Math.random() * this.patrolRadius;
@@ -506,6 +251,10 @@ export class Enemy {
     update(delta) {
         if (this.state === Enemy.STATE.DEAD) return;
 
+        // Timed effects (damage ticks can kill us here)
+        this.statusEffects.update(delta);
+        if (this.state === Enemy.STATE.DEAD) return;
+
         // Update attack cooldown
         if (this.attackCooldown > 0) {
             this.attackCooldown -= delta;
@@ -533,18 +282,8 @@ export class Enemy {
             this.healthBar.lookAt(this.game.camera.position);
         }
 
-        // Type-specific animations
-        if (this.type === Enemy.TYPE.GHOST) {
-            // Floating bob animation
-            const time = Date.now() * 0.001;
-            this.mesh.position.y = 0.3 + Math.sin(time * 2 + this.floatOffset) * 0.3;
-        }
-
-        if (this.glowLight && (this.type === Enemy.TYPE.DEMON || this.type === Enemy.TYPE.GHOST)) {
-            // Flickering glow
-            const flicker = 0.8 + Math.random() * 0.4;
-            this.glowLight.intensity = this.type === Enemy.TYPE.DEMON ? flicker : 0.4 + Math.random() * 0.2;
-        }
+        // Type-specific animations (mesh factory update hook)
+        this.game.enemyRegistry.updateMesh(this, delta);
 
         // Check for player detection (except when dead or already attacking)
         if (this.state !== Enemy.STATE.DEAD && this.state !== Enemy.STATE.ATTACK) {
@@ -552,7 +291,7 @@ export class Enemy {
                 // Aggro Trigger: If we were previously passive, play sound
                 if (this.state === Enemy.STATE.IDLE || this.state === Enemy.STATE.PATROL) {
                     if (this.game.audioManager) {
-                        this.activeAttackSoundGain = this.game.audioManager.playEnemyAttack(this.type);
+                        this.activeAttackSoundGain = this.game.audioManager.playEnemyAttack(this.typeDef.sound);
                     }
                 }
 
@@ -595,20 +334,21 @@ export class Enemy {
         }
 
         // Move toward target
-        this.moveToward(this.targetPosition, this.speed, delta);
+        this.navigateTo(this.targetPosition, this.speed, delta);
     }
 
     updateChase(delta) {
         const playerPos = this.getPlayerPosition();
         const distance = this.distanceToPlayer();
 
-        if (distance <= this.attackRange) {
+        // Ranged attackers also need a clear shot
+        if (distance <= this.attackRange && (!this.isRanged() || this.canSeePlayer())) {
             this.state = Enemy.STATE.ATTACK;
             return;
         }
 
         // Move toward player
-        this.moveToward(playerPos, this.chaseSpeed, delta);
+        this.navigateTo(playerPos, this.chaseSpeed, delta);
     }
 
     updateAttack(delta) {
@@ -618,6 +358,11 @@ export class Enemy {
         const playerPos = this.getPlayerPosition();
         this.lookAt(playerPos);
 
+        if (this.isRanged()) {
+            this.updateRangedAttack(delta, distance);
+            return;
+        }
+
         if (distance > this.attackRange * 1.5) {
             // Player moved away, chase them
             this.state = Enemy.STATE.CHASE;
@@ -631,6 +376,110 @@ export class Enemy {
         }
     }
 
+    isRanged() {
+        return this.attackConfig !== null && this.attackConfig.type === 'ranged';
+    }
+
+    /**
+     * Hold position at range, wind up, then fire at where the player is at release time
+     */
+    updateRangedAttack(delta, distance) {
+        if (this.windupTimer > 0) {
+            this.windupTimer -= delta;
+            if (this.windupTimer <= 0) this.fireProjectile();
+            return; // Committed to the shot
+        }
+
+        if (distance > this.attackRange * 1.2 || !this.canSeePlayer()) {
+            this.state = Enemy.STATE.CHASE;
+            return;
+        }
+
+        // Back off if the player closes in
+        if (distance < this.attackConfig.minRange) {
+            const away = new THREE.Vector3().subVectors(this.mesh.position, this.getPlayerPosition());
+            away.y = 0;
+            away.normalize().add(this.mesh.position);
+            this.moveToward(away, this.speed, delta);
+            this.lookAt(this.getPlayerPosition());
+        }
+
+        if (this.attackCooldown <= 0) {
+            this.windupTimer = this.attackConfig.windup;
+            this.attackCooldown = this.attackRate + this.attackConfig.windup;
+            if (this.windupTimer <= 0) {
+                this.fireProjectile();
+            } else if (this.game.audioManager) {
+                this.game.audioManager.playTone(220, this.attackConfig.windup, 0.15, 'triangle');
+            }
+        }
+    }
+
+    fireProjectile() {
+        if (!this.game.projectileManager) return;
+
+        const config = this.attackConfig;
+        const origin = this.mesh.position.clone();
+        origin.y += config.muzzleHeight;
+
+        // Aim at the chest, with optional random spread
+        const target = this.getPlayerPosition().clone();
+        target.y -= this.game.player.playerHeight * 0.4;
+        if (config.spread > 0) {
+            const distance = origin.distanceTo(target);
+            target.x += (Math.random() - 0.5) * 2 * config.spread * distance;
+            target.y += (Math.random() - 0.5) * 2 * config.spread * distance;
+            target.z += (Math.random() - 0.5) * 2 * config.spread * distance;
+        }
+
+        // Spawn just in front of the body so it doesn't start inside our own mesh
+        const forward = new THREE.Vector3().subVectors(target, origin).normalize();
+        origin.addScaledVector(forward, 0.6);
+
+        this.game.projectileManager.fire(config.projectile, origin, target, this);
+    }
+
+    /**
+     * Follow a nav grid path to target, re-planning as the target moves.
+     * Falls back to walking straight at it when there is no grid or no route.
+     */
+    navigateTo(target, speed, delta) {
+        const navGrid = this.game.world.navGrid;
+        if (!navGrid.ready) {
+            this.moveToward(target, speed, delta);
+            return;
+        }
+
+        this.repathTimer -= delta;
+        const goalMoved = this.pathGoal &&
+            this.pathGoal.distanceToSquared(target) > this.repathDistance * this.repathDistance;
+
+        // A failed search (unreachable goal, or NavGrid.maxIterations hit) is retried on the same terms
+        // as a re-plan, so blocked enemies don't run a full A* every step; moveToward covers the gap
+        if (!this.pathGoal || (goalMoved && this.repathTimer <= 0)) {
+            this.path = navGrid.findPath(this.mesh.position, target);
+            this.pathIndex = 0;
+            this.pathGoal = target.clone();
+            this.repathTimer = this.repathInterval;
+        }
+
+        if (!this.path || this.pathIndex >= this.path.length) {
+            this.moveToward(target, speed, delta);
+            return;
+        }
+
+        // Advance past waypoints we've reached
+        const waypoint = this.path[this.pathIndex];
+        const dx = waypoint.x - this.mesh.position.x;
+        const dz = waypoint.z - this.mesh.position.z;
+        if (dx * dx + dz * dz < 0.25) {
+            this.pathIndex++;
+            if (this.pathIndex >= this.path.length) return;
+        }
+
+        this.moveToward(this.path[this.pathIndex], speed, delta);
+    }
+
     moveToward(target, speed, delta) {
         const direction = new THREE.Vector3();
         direction.subVectors(target, this.mesh.position);
@@ -640,6 +489,8 @@ export class Enemy {
         // Rotate toward target
         this.lookAt(target);
 
+        speed *= this.statusEffects.getMultiplier('speed');
+
         // Calculate new position
         const newX = this.mesh.position.x + direction.x * speed * delta;
         const newZ = this.mesh.position.z + direction.z * speed * delta;
@@ -663,12 +514,10 @@ export class Enemy {
      * Check if position would collide with an obstacle
      */
     checkObstacleCollision(x, z) {
-        const enemyRadius = 0.5;
-        const obstacles = this.game.world.collidables.filter(obj => obj.name.startsWith('obstacle_'));
-
-        for (const obstacle of obstacles) {
-            const box = new THREE.Box3().setFromObject(obstacle);
+        const enemyRadius = this.collisionRadius;
+        const nearby = this.game.world.queryColliders(x - enemyRadius, z - enemyRadius, x + enemyRadius, z + enemyRadius);
 
+        for (const { box } of nearby) {
             // Simple AABB vs circle collision
             const closestX = Math.max(box.min.x, Math.min(x, box.max.x));
             const closestZ = Math.max(box.min.z, Math.min(z, box.max.z));
@@ -690,13 +539,15 @@ export class Enemy {
     }
 
     attack() {
-        // Deal damage to player
-        this.game.player.takeDamage(this.damage);
+        // Deal damage to player (plus the attack's status effect, e.g. ghost slow)
+        const damage = this.damage * this.statusEffects.getMultiplier('damage');
+        this.game.player.takeDamage(damage);
+        if (this.attackConfig.status) this.game.player.statusEffects.apply(this.attackConfig.status);
 
         // Play attack sound (Optional: Add a physical 'whoosh' or hit sound here instead of the vocal growl)
         // Refactored: Vocal sound now plays on Aggro start.
 
-        console.log(`Enemy attacks! Player takes ${this.damage} damage.`);
+        console.log(`Enemy attacks! Player takes ${damage} damage.`);
 
         // Visual feedback - enemy lunges forward briefly
         const originalZ = this.mesh.position.z;
@@ -714,12 +565,23 @@ export class Enemy {
         lunge();
     }
 
-    takeDamage(amount) {
+    /**
+     * crit marks a headshot for the damage number
+     */
+    takeDamage(amount, crit = false) {
         if (this.state === Enemy.STATE.DEAD) return;
 
+        amount = Math.round(amount * this.damageTakenMult * this.statusEffects.getMultiplier('damageTaken'));
         this.health -= amount;
         this.updateHealthBar();
 
+        // Damage number above the head
+        if (this.game.floatingText) {
+            const position = this.mesh.position.clone();
+            position.y += 2 * this.mesh.scale.y;
+            this.game.floatingText.spawnDamage(amount, position, crit);
+        }
+
         // Flash red on hit
         this.flashDamage();
 
@@ -730,6 +592,13 @@ export class Enemy {
         }
     }
 
+    heal(amount) {
+        if (this.state === Enemy.STATE.DEAD) return;
+
+        this.health = Math.min(this.maxHealth, this.health + amount);
+        this.updateHealthBar();
+    }
+
     updateHealthBar() {
         const healthPercent = Math.max(0, this.health / this.maxHealth);
         this.healthBar.scale.x = healthPercent;
@@ -748,7 +617,7 @@ export class Enemy {
     flashDamage() {
         // Flash the enemy body white briefly
         this.mesh.traverse((child) => {
-            if (child.isMesh && child.material && child.name.startsWith('enemy_')) {
+            if (child.isMesh && child.material && (child.name.startsWith('enemy_') || child.userData.flashOnHit)) {
                 const originalColor = child.material.color.clone();
                 child.material.color.setHex(0xffffff);
                 setTimeout(() => {
@@ -785,12 +654,13 @@ export class Enemy {
         // Death animation - shrink and fade
         const startTime = Date.now();
         const duration = 500;
+        const baseScale = this.mesh.scale.x;
 
         const animate = () => {
             const elapsed = Date.now() - startTime;
             const progress = Math.min(elapsed / duration, 1);
 
-            this.mesh.scale.setScalar(1 - progress * 0.8);
+            this.mesh.scale.setScalar(baseScale * (1 - progress * 0.8));
             this.mesh.position.y = -progress * 0.5;
             this.mesh.rotation.x = progress * 0.5;
 
@@ -807,25 +677,39 @@ export class Enemy {
             this.game.enemyManager.onEnemyKilled(this);
         }
 
+        // Death burst (bigger for scaled-up enemies such as bosses)
+        if (this.game.particleSystem) {
+            const center = this.mesh.position.clone();
+            center.y += this.mesh.scale.y;
+            this.game.particleSystem.emit(this.getDeathEffect(), center, { countScale: this.mesh.scale.x });
+        }
+
         // Spawn Loot
         if (this.game.lootManager) {
-            const rand = Math.random();
-            if (rand < 0.1) { // 10% Chance for Potion
-                this.game.lootManager.spawnLoot(this.mesh.position, 'potion');
-            } else if (rand < 0.1) { // 10% Chance for Hat (0.1 to 0.2)
-                this.game.lootManager.spawnLoot(this.mesh.position, 'cowboyhat');
-            } else if (rand < 0.8) { // 60% Chance for Coin
-                this.game.lootManager.spawnLoot(this.mesh.position, 'coin');
-            }
+            this.game.lootManager.dropLoot(this.mesh.position, this.getLootTable());
         }
     }
 
+    /**
+     * data/game.json loot.tables entry rolled on death
+     */
+    getLootTable() {
+        return this.typeDef.lootTable;
+    }
+
+    /**
+     * ParticleSystem preset for hits and the death burst (oil for robots, ectoplasm for ghosts, ...)
+     */
+    getDeathEffect() {
+        return this.typeDef.deathEffect;
+    }
+
     dispose() {
         // Remove from scene and clean up
         this.game.scene.remove(this.mesh);
 
         this.mesh.traverse((child) => {
-            if (child.geometry) child.geometry.dispose();
+            if (child.geometry && !child.userData.sharedGeometry) child.geometry.dispose();
             if (child.material) {
                 if (Array.isArray(child.material)) {
                     child.material.forEach(m => m.dispose());
@@ -836,6 +720,17 @@ export class Enemy {
         });
     }
 
+    // Resolve which hit zone a child mesh belongs to (tagged meshes, then named head/body)
+    getHitZone(object) {
+        let current = object;
+        while (current && current !== this.mesh) {
+            if (current.userData.hitZone) return current.userData.hitZone;
+            if (current.name === 'enemy_head') return Enemy.HIT_ZONE.HEAD;
+            current = current.parent;
+        }
+        return Enemy.HIT_ZONE.BODY;
+    }
+
     // Get all meshes that can be hit by raycaster
     getHitboxes() {
         const hitboxes = [];
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { Enemy } from './Enemy.js';
+import { Boss } from './Boss.js';
 
 /**
  * EnemyManager class - spawns and manages all enemies in the game
@@ -16,6 +17,13 @@ export class EnemyManager {
         this.waveEnemiesSpawned = 0;
         this.waveKilled = 0;
         this.waveInProgress = false;
+        this.intermissionDuration = 5; // Seconds between waves (shop window)
+        this.intermissionTimer = 0;
+        this.difficulty = 3; // Normal (slider default)
+        this.isBossWave = false;
+        this.spawnQueue = [];   // { time, type, zone, modifiers, boss } sorted by time
+        this.waveTime = 0;      // Seconds since the wave started
+        this.waveScript = null; // data/waves.json entry, null for endless waves
 
         // Spawn settings - larger map = more enemies
         this.maxSimultaneousEnemies = 8;
@@ -37,31 +45,182 @@ export class EnemyManager {
         this.waveInProgress = true;
         this.waveEnemiesSpawned = 0;
         this.waveKilled = 0;
-        const baseEnemies = 5 + (this.currentWave - 1) * 3;
-        const multiplier = this.spawnMultiplier || 1.5; // Default Normal (Level 3 is x2.0, so 1.5 is reasonable default)
-        this.waveTotalEnemies = Math.ceil(baseEnemies * multiplier);
-        console.log(`Starting Wave ${this.currentWave} with ${this.waveTotalEnemies} enemies.`);
+        this.waveTime = 0;
+
+        // Scripted waves first, then the endless formula
+        const waves = this.game.gameData.waves.waves;
+        this.waveScript = waves[this.currentWave - 1] || null;
+        this.spawnQueue = this.waveScript ? this.buildScriptedQueue(this.waveScript) : this.buildEndlessQueue();
+        this.waveTotalEnemies = this.spawnQueue.length;
+
+        const bossEntry = this.spawnQueue.find(entry => entry.boss);
+        this.isBossWave = Boolean(bossEntry);
+
+        if (this.isBossWave) {
+            console.log(`Starting Wave ${this.currentWave}: boss ${bossEntry.boss.name}, ${this.waveTotalEnemies} enemies.`);
+        } else {
+            console.log(`Starting Wave ${this.currentWave} with ${this.waveTotalEnemies} enemies.`);
+        }
 
         this.updateWaveDisplay();
         this.updateKillDisplay();
-        this.showNotification(`Wave ${this.currentWave}`);
+
+        let message = `Wave ${this.currentWave}`;
+        if (this.waveScript && this.waveScript.message) message = this.waveScript.message;
+        else if (this.isBossWave) message = `Boss Wave: ${bossEntry.boss.name}`;
+        this.showNotification(message);
 
         // Initial spawn
         this.checkSpawns();
     }
 
+    /**
+     * Formula waves (past the end of data/waves.json): random types around the player,
+     * or a lone boss every bosses.everyWaves waves
+     */
+    buildEndlessQueue() {
+        const bosses = this.game.gameData.bosses;
+        if (bosses.list.length > 0 && this.currentWave % bosses.everyWaves === 0) {
+            // The boss is the whole wave; its minions are extra
+            return [{ time: 0, type: null, zone: null, modifiers: [], boss: this.getBossDef() }];
+        }
+
+        const baseEnemies = 5 + (this.currentWave - 1) * 3;
+        const multiplier = this.spawnMultiplier || 1.5; // Default Normal (Level 3 is x2.0, so 1.5 is reasonable default)
+        const spawnRateMult = this.game.gameData.tuning.spawnRateMult;
+        const count = Math.max(1, Math.ceil(baseEnemies * multiplier * spawnRateMult));
+
+        return Array.from({ length: count }, () => ({ time: 0, type: null, zone: null, modifiers: [], boss: null }));
+    }
+
+    /**
+     * Expand a scripted wave's groups into timed spawns. Group counts scale with
+     * difficulty (Normal = as written) and tuning.spawnRateMult.
+     */
+    buildScriptedQueue(script) {
+        const { modifiers } = this.game.gameData.waves;
+        const countScale = (this.spawnMultiplier || 2.0) / 2.0 * this.game.gameData.tuning.spawnRateMult;
+        const waveModifiers = script.modifiers.map(name => modifiers[name]);
+        const queue = [];
+
+        for (const group of script.groups) {
+            let type = group.type === 'random' ? null : group.type;
+            if (type && !this.game.enemyRegistry.has(type)) {
+                console.warn(`Wave ${this.currentWave}: unknown enemy type "${type}", using random`);
+                type = null;
+            }
+
+            const count = Math.max(1, Math.round(group.count * countScale));
+            const groupModifiers = [...waveModifiers, ...group.modifiers.map(name => modifiers[name])];
+
+            for (let i = 0; i < count; i++) {
+                queue.push({
+                    time: group.delay + i * group.interval,
+                    type,
+                    zone: group.zone || null, // world.json spawnZones name
+                    modifiers: groupModifiers,
+                    boss: null
+                });
+            }
+        }
+
+        if (script.boss) {
+            const boss = this.game.gameData.bosses.list.find(def => def.name === script.boss);
+            queue.push({ time: 0, type: null, zone: null, modifiers: waveModifiers, boss });
+        }
+
+        return queue.sort((a, b) => a.time - b.time);
+    }
+
     checkSpawns() {
         if (!this.waveInProgress) return;
 
         const activeCount = this.enemies.filter(e => e.state !== Enemy.STATE.DEAD).length;
 
-        // Spawn if we haven't reached wave total AND we aren't at max screen cap
-        if (this.waveEnemiesSpawned < this.waveTotalEnemies && activeCount < this.maxSimultaneousEnemies) {
-            this.spawnEnemy();
+        // Spawn the next due entry if we aren't at max screen cap (late entries wait for room)
+        const next = this.spawnQueue[0];
+        if (next && next.time <= this.waveTime && activeCount < this.maxSimultaneousEnemies) {
+            this.spawnQueue.shift();
+            this.spawnEnemy(next);
+        }
+    }
+
+    spawnEnemy(entry) {
+        const position = this.findSpawnPosition(entry);
+
+        if (position) {
+            const enemy = entry.boss
+                ? new Boss(this.game, position, entry.boss)
+                : new Enemy(this.game, position, entry.type);
+            enemy.init();
+            if (entry.modifiers.length > 0) enemy.applyModifiers(entry.modifiers);
+            this.enemies.push(enemy);
+
+            this.waveEnemiesSpawned++;
+            console.log(`Enemy spawned at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+        }
+    }
+
+    /**
+     * Scripted zone, then a designer spawn point/zone out of the player's sight,
+     * then (only if the map has none usable) the random ring
+     */
+    findSpawnPosition(entry) {
+        if (entry.zone) {
+            const zone = this.game.world.getSpawnZone(entry.zone);
+            if (zone) {
+                for (let attempts = 0; attempts < 10; attempts++) {
+                    const position = this.randomPointInZone(zone);
+                    if (this.isValidSpawnPosition(position)) return position;
+                }
+            } else {
+                console.warn(`Wave ${this.currentWave}: no spawn zone named "${entry.zone}" in world.json`);
+            }
         }
+
+        return this.findDesignedSpawn() || this.findRingSpawn();
     }
 
-    spawnEnemy() {
+    findDesignedSpawn() {
+        const world = this.game.world;
+        const candidates = [
+            ...world.getSpawnPoints(),
+            ...world.getSpawnZones().map(zone => this.randomPointInZone(zone))
+        ];
+        if (candidates.length === 0) return null;
+
+        const eye = this.game.player.controls.object.position;
+        const distanceTo = (point) => Math.hypot(point.x - eye.x, point.z - eye.z);
+
+        // Not on top of the player, and preferably where they can't see it appear
+        let pool = candidates.filter(point => distanceTo(point) >= this.minSpawnDistance);
+        if (pool.length === 0) pool = candidates;
+
+        const target = new THREE.Vector3();
+        const hidden = pool.filter(point => !world.hasLineOfSight(eye, target.set(point.x, 1.0, point.z)));
+        if (hidden.length > 0) pool = hidden;
+
+        // Nearest few first (shuffled) so enemies arrive in reasonable time, the rest as backups
+        pool.sort((a, b) => distanceTo(a) - distanceTo(b));
+        const nearest = pool.slice(0, 4).sort(() => Math.random() - 0.5);
+        const ordered = [...nearest, ...pool.slice(4)];
+
+        // Jitter around the point so a busy spawn point doesn't stack enemies
+        for (const point of ordered) {
+            for (let attempts = 0; attempts < 4; attempts++) {
+                const jitter = attempts === 0 ? 0 : 2;
+                const position = new THREE.Vector3(
+                    point.x + (Math.random() - 0.5) * 2 * jitter,
+                    0,
+                    point.z + (Math.random() - 0.5) * 2 * jitter
+                );
+                if (this.isValidSpawnPosition(position)) return position;
+            }
+        }
+        return null;
+    }
+
+    findRingSpawn() {
         // Find a valid spawn position
         let attempts = 0;
         let position = null;
@@ -83,13 +242,50 @@ export class EnemyManager {
             attempts++;
         }
 
-        if (position) {
-            const enemy = new Enemy(this.game, position);
-            enemy.init();
-            this.enemies.push(enemy);
+        return position;
+    }
 
-            this.waveEnemiesSpawned++;
-            console.log(`Enemy spawned at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+    randomPointInZone(zone) {
+        const angle = Math.random() * Math.PI * 2;
+        const distance = Math.sqrt(Math.random()) * zone.radius; // Uniform over the disc
+        return new THREE.Vector3(zone.x + Math.cos(angle) * distance, 0, zone.z + Math.sin(angle) * distance);
+    }
+
+    /**
+     * Boss for the current wave - bosses.list is cycled in order
+     */
+    getBossDef() {
+        const bosses = this.game.gameData.bosses;
+        const bossNumber = Math.floor(this.currentWave / bosses.everyWaves) - 1;
+        return bosses.list[bossNumber % bosses.list.length];
+    }
+
+    /**
+     * Spawn boss minions around center; they hunt the player straight away
+     */
+    spawnMinions(type, count, center) {
+        for (let i = 0; i < count; i++) {
+            let position = null;
+
+            for (let attempts = 0; attempts < 10; attempts++) {
+                const angle = Math.random() * Math.PI * 2;
+                const candidate = new THREE.Vector3(
+                    center.x + Math.cos(angle) * 4,
+                    0,
+                    center.z + Math.sin(angle) * 4
+                );
+                if (this.isValidSpawnPosition(candidate)) {
+                    position = candidate;
+                    break;
+                }
+            }
+            if (!position) continue;
+
+            const minion = new Enemy(this.game, position, type);
+            minion.isMinion = true;
+            minion.init();
+            minion.state = Enemy.STATE.CHASE;
+            this.enemies.push(minion);
         }
     }
 
@@ -105,14 +301,12 @@ export class EnemyManager {
         // 2. Check collision with world obstacles
         // Use a slightly larger radius for spawn safety
         const spawnRadius = 1.0;
-        const obstacles = this.game.world.collidables;
-
-        for (const obstacle of obstacles) {
-            // Skip ground
-            if (obstacle.name === 'ground') continue;
-
-            const box = new THREE.Box3().setFromObject(obstacle);
+        const nearby = this.game.world.queryColliders(
+            position.x - spawnRadius, position.z - spawnRadius,
+            position.x + spawnRadius, position.z + spawnRadius
+        );
 
+        for (const { box } of nearby) {
             // Simple AABB vs point/radius check
             // Expand box by radius to check if point is inside extended box
             if (position.x >= box.min.x - spawnRadius && position.x <= box.max.x + spawnRadius &&
@@ -135,18 +329,41 @@ export class EnemyManager {
 
         // Spawn management loop (simple: check every frame, could be optimized)
         if (this.waveInProgress) {
+            this.waveTime += delta;
             this.checkSpawns();
         }
+
+        // Between waves - only counts down while the game is running, so an open shop holds the next wave
+        if (this.intermissionTimer > 0) {
+            this.intermissionTimer -= delta;
+            if (this.intermissionTimer <= 0) {
+                this.intermissionTimer = 0;
+                this.currentWave++;
+                this.startWave();
+            }
+        }
+    }
+
+    isIntermission() {
+        return !this.waveInProgress && this.intermissionTimer > 0;
     }
 
     onEnemyKilled(enemy) {
         this.killCount++;
-        this.waveKilled++;
+        this.game.saveManager.addStat('kills');
+        if (!enemy.isMinion) this.waveKilled++;
         this.updateKillDisplay();
         this.updateWaveDisplay();
 
+        // Minions don't outlive their boss
+        if (enemy.isBoss) {
+            for (const other of this.enemies) {
+                if (other.isMinion && other.state !== Enemy.STATE.DEAD) other.die();
+            }
+        }
+
         // Check Wave Complete
-        if (this.waveKilled >= this.waveTotalEnemies) {
+        if (this.waveInProgress && this.waveKilled >= this.waveTotalEnemies) {
             this.completeWave();
         }
     }
@@ -155,13 +372,45 @@ export class EnemyManager {
         this.waveInProgress = false;
         console.log(`Wave ${this.currentWave} Complete!`);
 
-        this.showNotification(`Wave Complete!`);
+        const reward = this.waveScript ? this.waveScript.reward : {};
+        this.grantReward(reward);
+        this.showNotification(reward.money ? `Wave Complete! +$${reward.money} [B] Shop` : `Wave Complete! [B] Shop`);
+
+        this.game.saveManager.addStat('wavesCleared');
+        this.game.saveCheckpoint(this.currentWave + 1);
+
+        // Start next wave after delay (counted down in update)
+        this.intermissionTimer = this.intermissionDuration;
+    }
 
-        // Start next wave after delay
-        setTimeout(() => {
-            this.currentWave++;
-            this.startWave();
-        }, 5000);
+    /**
+     * Scripted wave completion reward ({ money, armor, heal })
+     */
+    grantReward(reward) {
+        const player = this.game.player;
+        if (reward.money) {
+            player.money += reward.money;
+            this.game.saveManager.addStat('moneyCollected', reward.money);
+        }
+        if (reward.armor) player.armor += reward.armor;
+        if (reward.heal) player.health = Math.min(player.maxHealth, player.health + reward.heal);
+        player.updateHUD();
+    }
+
+    /**
+     * Clear all enemies and progress, then start again from the given wave (run restart / checkpoint)
+     */
+    reset({ wave = 1, kills = 0 } = {}) {
+        this.intermissionTimer = 0;
+
+        for (const enemy of this.enemies) {
+            enemy.dispose();
+        }
+        this.enemies = [];
+
+        this.killCount = kills;
+        this.currentWave = wave;
+        this.startWave();
     }
 
     updateKillDisplay() {
@@ -0,0 +1,365 @@
+import * as THREE from 'three';
+import { Enemy } from './Enemy.js';
+
+/**
+ * Built-in procedural enemy meshes. Each factory builds its parts into enemy.mesh
+ * (an empty Group at the spawn position) and tags hit zones via userData.hitZone or
+ * the enemy_head / enemy_body names. The optional update() runs every step after the AI.
+ */
+
+// ═══════════════════════════════════════════════════════════
+// ROBOT - Angular metallic cubes
+// ═══════════════════════════════════════════════════════════
+function createRobotMesh(enemy) {
+    // Metallic body cube
+    const bodyGeometry = new THREE.BoxGeometry(0.8, 1.0, 0.5);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+        color: 0x4a5568,
+        roughness: 0.3,
+        metalness: 0.8
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.position.y = 1.0;
+    body.castShadow = true;
+    body.name = 'enemy_body';
+    enemy.mesh.add(body);
+
+    // Head cube
+    const headGeometry = new THREE.BoxGeometry(0.5, 0.4, 0.4);
+    const headMaterial = new THREE.MeshStandardMaterial({
+        color: 0x2d3748,
+        roughness: 0.2,
+        metalness: 0.9
+    });
+    const head = new THREE.Mesh(headGeometry, headMaterial);
+    head.position.y = 1.7;
+    head.castShadow = true;
+    head.name = 'enemy_head';
+    enemy.mesh.add(head);
+
+    // Glowing visor
+    const visorGeometry = new THREE.BoxGeometry(0.4, 0.1, 0.05);
+    const visorMaterial = new THREE.MeshBasicMaterial({ color: 0x00ffff });
+    const visor = new THREE.Mesh(visorGeometry, visorMaterial);
+    visor.position.set(0, 1.72, 0.2);
+    visor.userData.hitZone = Enemy.HIT_ZONE.HEAD;
+    enemy.mesh.add(visor);
+
+    // Robot arms (angular)
+    const armGeometry = new THREE.BoxGeometry(0.15, 0.5, 0.15);
+    const armMaterial = new THREE.MeshStandardMaterial({
+        color: 0x718096,
+        roughness: 0.4,
+        metalness: 0.7
+    });
+
+    const leftArm = new THREE.Mesh(armGeometry, armMaterial);
+    leftArm.position.set(-0.55, 1.0, 0);
+    leftArm.castShadow = true;
+    leftArm.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(leftArm);
+
+    const rightArm = new THREE.Mesh(armGeometry, armMaterial);
+    rightArm.position.set(0.55, 1.0, 0);
+    rightArm.castShadow = true;
+    rightArm.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(rightArm);
+
+    // Robot legs
+    const legGeometry = new THREE.BoxGeometry(0.2, 0.5, 0.2);
+
+    const leftLeg = new THREE.Mesh(legGeometry, armMaterial);
+    leftLeg.position.set(-0.2, 0.25, 0);
+    leftLeg.castShadow = true;
+    leftLeg.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(leftLeg);
+
+    const rightLeg = new THREE.Mesh(legGeometry, armMaterial);
+    rightLeg.position.set(0.2, 0.25, 0);
+    rightLeg.castShadow = true;
+    rightLeg.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(rightLeg);
+}
+
+// ═══════════════════════════════════════════════════════════
+// GHOST - Ethereal floating specter
+// ═══════════════════════════════════════════════════════════
+function createGhostMesh(enemy) {
+    // Main ghostly body (tapered sphere)
+    const bodyGeometry = new THREE.SphereGeometry(0.5, 16, 16);
+    bodyGeometry.scale(1, 1.5, 0.8);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+        color: 0xaaddff,
+        roughness: 0.1,
+        metalness: 0.0,
+        transparent: true,
+        opacity: 0.7
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.position.y = 1.5;
+    body.name = 'enemy_body';
+    enemy.mesh.add(body);
+
+    // Trailing wisps
+    for (let i = 0; i < 3; i++) {
+        const wispGeometry = new THREE.ConeGeometry(0.15, 0.6, 8);
+        const wispMaterial = new THREE.MeshBasicMaterial({
+            color: 0x88ccff,
+            transparent: true,
+            opacity: 0.5
+        });
+        const wisp = new THREE.Mesh(wispGeometry, wispMaterial);
+        wisp.position.set((i - 1) * 0.25, 0.8, 0);
+        wisp.rotation.x = Math.PI;
+        wisp.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+        enemy.mesh.add(wisp);
+    }
+
+    // Glowing eyes
+    const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
+    const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+
+    const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+    leftEye.position.set(-0.15, 1.6, 0.35);
+    leftEye.userData.hitZone = Enemy.HIT_ZONE.HEAD;
+    enemy.mesh.add(leftEye);
+
+    const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+    rightEye.position.set(0.15, 1.6, 0.35);
+    rightEye.userData.hitZone = Enemy.HIT_ZONE.HEAD;
+    enemy.mesh.add(rightEye);
+
+    // Add glow light
+    enemy.glowLight = new THREE.PointLight(0x88ccff, 0.5, 5);
+    enemy.glowLight.position.set(0, 1.5, 0);
+    enemy.mesh.add(enemy.glowLight);
+
+    // Float offset for animation
+    enemy.floatOffset = Math.random() * Math.PI * 2;
+}
+
+// ═══════════════════════════════════════════════════════════
+// ZOMBIE - Shambling undead
+// ═══════════════════════════════════════════════════════════
+function createZombieMesh(enemy) {
+    // Decayed body
+    const bodyGeometry = new THREE.CylinderGeometry(0.35, 0.4, 1.1, 8);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+        color: 0x556b2f,
+        roughness: 0.9,
+        metalness: 0.0
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.position.y = 0.85;
+    body.rotation.z = 0.1; // Slightly hunched
+    body.castShadow = true;
+    body.name = 'enemy_body';
+    enemy.mesh.add(body);
+
+    // Rotting head
+    const headGeometry = new THREE.SphereGeometry(0.28, 10, 10);
+    const headMaterial = new THREE.MeshStandardMaterial({
+        color: 0x8b9a6b,
+        roughness: 0.95,
+        metalness: 0.0
+    });
+    const head = new THREE.Mesh(headGeometry, headMaterial);
+    head.position.set(0.05, 1.55, 0);
+    head.scale.set(1, 0.9, 1);
+    head.castShadow = true;
+    head.name = 'enemy_head';
+    enemy.mesh.add(head);
+
+    // Glowing dead eyes
+    const eyeGeometry = new THREE.SphereGeometry(0.05, 6, 6);
+    const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xccff00 });
+
+    const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+    leftEye.position.set(-0.08, 1.58, 0.22);
+    leftEye.userData.hitZone = Enemy.HIT_ZONE.HEAD;
+    enemy.mesh.add(leftEye);
+
+    const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+    rightEye.position.set(0.12, 1.55, 0.22);
+    rightEye.userData.hitZone = Enemy.HIT_ZONE.HEAD;
+    enemy.mesh.add(rightEye);
+
+    // Tattered arms (asymmetric)
+    const armMaterial = new THREE.MeshStandardMaterial({
+        color: 0x4a5a3f,
+        roughness: 0.9
+    });
+
+    const leftArmGeometry = new THREE.CylinderGeometry(0.08, 0.1, 0.7, 6);
+    const leftArm = new THREE.Mesh(leftArmGeometry, armMaterial);
+    leftArm.position.set(-0.45, 0.95, 0.2);
+    leftArm.rotation.set(0.5, 0, 0.4);
+    leftArm.castShadow = true;
+    leftArm.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(leftArm);
+
+    const rightArmGeometry = new THREE.CylinderGeometry(0.1, 0.08, 0.6, 6);
+    const rightArm = new THREE.Mesh(rightArmGeometry, armMaterial);
+    rightArm.position.set(0.45, 1.0, 0.1);
+    rightArm.rotation.set(0.3, 0, -0.3);
+    rightArm.castShadow = true;
+    rightArm.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(rightArm);
+
+    // Shambling legs
+    const legGeometry = new THREE.CylinderGeometry(0.1, 0.12, 0.6, 6);
+
+    const leftLeg = new THREE.Mesh(legGeometry, armMaterial);
+    leftLeg.position.set(-0.15, 0.3, 0);
+    leftLeg.rotation.z = 0.1;
+    leftLeg.castShadow = true;
+    leftLeg.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(leftLeg);
+
+    const rightLeg = new THREE.Mesh(legGeometry, armMaterial);
+    rightLeg.position.set(0.18, 0.3, 0);
+    rightLeg.rotation.z = -0.05;
+    rightLeg.castShadow = true;
+    rightLeg.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(rightLeg);
+}
+
+// ═══════════════════════════════════════════════════════════
+// DEMON - Fiery hellspawn
+// ═══════════════════════════════════════════════════════════
+function createDemonMesh(enemy) {
+    // Fiery body
+    const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.45, 1.3, 8);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+        color: 0x8b0000,
+        roughness: 0.5,
+        metalness: 0.3,
+        emissive: 0x330000,
+        emissiveIntensity: 0.3
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.position.y = 0.95;
+    body.castShadow = true;
+    body.name = 'enemy_body';
+    enemy.mesh.add(body);
+
+    // Demonic head
+    const headGeometry = new THREE.SphereGeometry(0.3, 12, 12);
+    const headMaterial = new THREE.MeshStandardMaterial({
+        color: 0xaa2222,
+        roughness: 0.4,
+        metalness: 0.2,
+        emissive: 0x440000,
+        emissiveIntensity: 0.2
+    });
+    const head = new THREE.Mesh(headGeometry, headMaterial);
+    head.position.y = 1.75;
+    head.castShadow = true;
+    head.name = 'enemy_head';
+    enemy.mesh.add(head);
+
+    // Horns
+    const hornGeometry = new THREE.ConeGeometry(0.06, 0.3, 6);
+    const hornMaterial = new THREE.MeshStandardMaterial({
+        color: 0x1a1a1a,
+        roughness: 0.3,
+        metalness: 0.5
+    });
+
+    const leftHorn = new THREE.Mesh(hornGeometry, hornMaterial);
+    leftHorn.position.set(-0.2, 2.0, 0);
+    leftHorn.rotation.z = 0.3;
+    leftHorn.userData.hitZone = Enemy.HIT_ZONE.HEAD;
+    enemy.mesh.add(leftHorn);
+
+    const rightHorn = new THREE.Mesh(hornGeometry, hornMaterial);
+    rightHorn.position.set(0.2, 2.0, 0);
+    rightHorn.rotation.z = -0.3;
+    rightHorn.userData.hitZone = Enemy.HIT_ZONE.HEAD;
+    enemy.mesh.add(rightHorn);
+
+    // Burning eyes
+    const eyeGeometry = new THREE.SphereGeometry(0.07, 8, 8);
+    const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xff6600 });
+
+    const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+    leftEye.position.set(-0.12, 1.78, 0.25);
+    leftEye.userData.hitZone = Enemy.HIT_ZONE.HEAD;
+    enemy.mesh.add(leftEye);
+
+    const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+    rightEye.position.set(0.12, 1.78, 0.25);
+    rightEye.userData.hitZone = Enemy.HIT_ZONE.HEAD;
+    enemy.mesh.add(rightEye);
+
+    // Clawed arms
+    const armGeometry = new THREE.CylinderGeometry(0.08, 0.12, 0.7, 6);
+    const armMaterial = new THREE.MeshStandardMaterial({
+        color: 0x660000,
+        roughness: 0.6,
+        emissive: 0x220000,
+        emissiveIntensity: 0.2
+    });
+
+    const leftArm = new THREE.Mesh(armGeometry, armMaterial);
+    leftArm.position.set(-0.5, 1.1, 0);
+    leftArm.rotation.z = 0.4;
+    leftArm.castShadow = true;
+    leftArm.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(leftArm);
+
+    const rightArm = new THREE.Mesh(armGeometry, armMaterial);
+    rightArm.position.set(0.5, 1.1, 0);
+    rightArm.rotation.z = -0.4;
+    rightArm.castShadow = true;
+    rightArm.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(rightArm);
+
+    // Legs
+    const legGeometry = new THREE.CylinderGeometry(0.1, 0.14, 0.6, 6);
+
+    const leftLeg = new THREE.Mesh(legGeometry, armMaterial);
+    leftLeg.position.set(-0.18, 0.3, 0);
+    leftLeg.castShadow = true;
+    leftLeg.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(leftLeg);
+
+    const rightLeg = new THREE.Mesh(legGeometry, armMaterial);
+    rightLeg.position.set(0.18, 0.3, 0);
+    rightLeg.castShadow = true;
+    rightLeg.userData.hitZone = Enemy.HIT_ZONE.LIMB;
+    enemy.mesh.add(rightLeg);
+
+    // Add fire glow
+    enemy.glowLight = new THREE.PointLight(0xff4400, 0.8, 8);
+    enemy.glowLight.position.set(0, 1.2, 0);
+    enemy.mesh.add(enemy.glowLight);
+}
+
+// ═══════════════════════════════════════════════════════════
+// ANIMATION
+// ═══════════════════════════════════════════════════════════
+
+function updateGhost(enemy) {
+    // Floating bob animation
+    const time = Date.now() * 0.001;
+    enemy.mesh.position.y = 0.3 + Math.sin(time * 2 + enemy.floatOffset) * 0.3;
+
+    // Soft flicker
+    if (enemy.glowLight) enemy.glowLight.intensity = 0.4 + Math.random() * 0.2;
+}
+
+function updateDemon(enemy) {
+    // Flickering fire glow
+    if (enemy.glowLight) enemy.glowLight.intensity = 0.8 + Math.random() * 0.4;
+}
+
+/**
+ * Mesh factories registered by EnemyRegistry under these names (enemies.<type>.mesh)
+ */
+export const BUILTIN_ENEMY_MESHES = {
+    robot: { create: createRobotMesh },
+    ghost: { create: createGhostMesh, update: updateGhost },
+    zombie: { create: createZombieMesh },
+    demon: { create: createDemonMesh, update: updateDemon }
+};
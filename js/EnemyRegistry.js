@@ -0,0 +1,155 @@
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { BUILTIN_ENEMY_MESHES } from './EnemyMeshes.js';
+
+/**
+ * EnemyRegistry class - enemy type definitions (stats, attack, mesh, sound, loot table).
+ * Types come from data/game.json `enemies`; other code can add more at runtime without touching Enemy.js:
+ *
+ *   game.enemyRegistry.registerMeshFactory('spider', { create(enemy) { ... }, update(enemy, delta) { ... } });
+ *   game.enemyRegistry.register('spider', { health: 40, damage: 6, speed: 5, chaseSpeed: 8 });
+ *
+ * A type renders with a mesh factory (`mesh`, defaults to the type name) or a GLB (`model`).
+ */
+export class EnemyRegistry {
+    constructor(game) {
+        this.game = game;
+        this.types = new Map();         // type -> validated definition
+        this.meshFactories = new Map(); // name -> { create(enemy), update?(enemy, delta) }
+        this.models = new Map();        // GLB path -> Promise of the loaded scene (null if it failed)
+        this.loader = new GLTFLoader();
+    }
+
+    init() {
+        Object.entries(BUILTIN_ENEMY_MESHES).forEach(([name, factory]) => this.registerMeshFactory(name, factory));
+        this.registerData(this.game.gameData.enemies);
+        console.log(`EnemyRegistry initialized: ${this.getTypes().join(', ')}`);
+    }
+
+    /**
+     * (Re-)register every type from data/game.json; runtime-registered types are kept
+     */
+    registerData(enemies) {
+        Object.entries(enemies).forEach(([type, def]) => this.add(type, def));
+    }
+
+    registerMeshFactory(name, factory) {
+        if (!factory || typeof factory.create !== 'function') {
+            console.error(`EnemyRegistry: mesh factory "${name}" needs a create(enemy) function`);
+            return false;
+        }
+        this.meshFactories.set(name, factory);
+        return true;
+    }
+
+    /**
+     * Add or replace a type. def takes the same fields as data/game.json enemies.<type>;
+     * register its mesh factory first.
+     */
+    register(type, def) {
+        const value = this.game.gameData.validateEnemy(type, def, 'EnemyRegistry.register');
+        return value ? this.add(type, value) : false;
+    }
+
+    add(type, def) {
+        if (!def.model && !this.meshFactories.has(def.mesh)) {
+            console.error(`EnemyRegistry: "${type}" has no model and no mesh factory "${def.mesh}"`);
+            return false;
+        }
+
+        this.types.set(type, def);
+        if (def.model) this.loadModel(def.model); // Preload so the first spawn isn't invisible
+
+        // Types added after audio start-up load their sound now
+        const audio = this.game.audioManager;
+        if (def.sound && audio && audio.initialized && !audio.buffers[def.sound]) audio.loadEnemySounds([def]);
+        return true;
+    }
+
+    has(type) {
+        return this.types.has(type);
+    }
+
+    get(type) {
+        return this.types.get(type) || null;
+    }
+
+    getTypes() {
+        return [...this.types.keys()];
+    }
+
+    getDefinitions() {
+        return [...this.types.values()];
+    }
+
+    /**
+     * Weighted by spawnWeight; types with weight 0 only appear when asked for by name
+     */
+    randomType() {
+        const candidates = [...this.types].filter(([, def]) => def.spawnWeight > 0);
+        let roll = Math.random() * candidates.reduce((sum, [, def]) => sum + def.spawnWeight, 0);
+
+        for (const [type, def] of candidates) {
+            roll -= def.spawnWeight;
+            if (roll < 0) return type;
+        }
+        return candidates.length > 0 ? candidates[candidates.length - 1][0] : null;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // MESHES
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Build the enemy's parts into enemy.mesh (an empty Group already at the spawn position)
+     */
+    buildMesh(enemy) {
+        const def = enemy.typeDef;
+        if (!def.model) {
+            this.meshFactories.get(def.mesh).create(enemy);
+            return;
+        }
+
+        // GLB: attach a clone once the template is loaded (normally already preloaded)
+        this.loadModel(def.model).then(template => {
+            if (!template || !enemy.mesh.parent) return; // Failed, or the enemy is already gone
+
+            const model = template.clone();
+            model.scale.setScalar(def.modelScale);
+            model.traverse(child => {
+                if (!child.isMesh) return;
+                child.castShadow = true;
+                child.userData.sharedGeometry = true; // Owned by the template, not this enemy
+                if (!Array.isArray(child.material)) {
+                    child.material = child.material.clone(); // Own copy so the hit flash only tints this enemy
+                    child.userData.flashOnHit = true;
+                }
+            });
+            enemy.mesh.add(model);
+        });
+    }
+
+    /**
+     * Per-step animation from the type's mesh factory (ghost bob, flickering glow, ...)
+     */
+    updateMesh(enemy, delta) {
+        if (enemy.typeDef.model) return;
+
+        const factory = this.meshFactories.get(enemy.typeDef.mesh);
+        if (factory && factory.update) factory.update(enemy, delta);
+    }
+
+    loadModel(path) {
+        if (!this.models.has(path)) {
+            this.models.set(path, new Promise(resolve => this.loader.load(
+                path,
+                (gltf) => resolve(gltf.scene),
+                undefined,
+                (error) => {
+                    console.error(`Error loading enemy model ${path}:`, error);
+                    resolve(null);
+                }
+            )));
+        }
+        return this.models.get(path);
+    }
+}
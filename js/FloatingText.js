@@ -1,46 +1,136 @@
 import * as THREE from 'three';
 
+/**
+ * FloatingText class - world-anchored HUD labels (damage numbers, pickup gains).
+ * Labels rise from a world position and are reprojected every frame from Game.animate(),
+ * so they stay on their target while the camera moves. DOM nodes are pooled and the
+ * number on screen is capped (the oldest label is recycled), so rapid fire stays bounded.
+ */
 export class FloatingText {
+    static COLORS = {
+        damage: '#ffffff',
+        crit: '#ffd700',
+        playerDamage: '#ff4444'
+    };
+
     constructor(game) {
         this.game = game;
         this.container = document.getElementById('floating-text-container');
+
+        this.maxLabels = 40;
+        this.duration = 1;    // Seconds
+        this.riseSpeed = 1.2; // World units per second
+        this.jitter = 0.3;    // Random XZ offset so repeated hits don't overlap
+
+        this.labels = []; // Active, oldest first: { element, position, age }
+        this.pool = [];   // Hidden elements ready for reuse
+
+        // Scratch
+        this.projected = new THREE.Vector3();
+    }
+
+    /**
+     * options: color, size (CSS font size), crit (bigger, crit colour), jitter (false = exact position)
+     */
+    spawn(text, position, options = {}) {
+        const label = this.labels.length >= this.maxLabels ? this.labels.shift() : this.acquire();
+
+        label.age = 0;
+        label.position.copy(position);
+        if (options.jitter !== false) {
+            label.position.x += (Math.random() - 0.5) * 2 * this.jitter;
+            label.position.z += (Math.random() - 0.5) * 2 * this.jitter;
+        }
+
+        const element = label.element;
+        element.textContent = text;
+        element.classList.toggle('crit', !!options.crit);
+        element.style.color = options.color || (options.crit ? FloatingText.COLORS.crit : FloatingText.COLORS.damage);
+        element.style.fontSize = options.size || '';
+        element.style.display = '';
+
+        this.labels.push(label);
+        this.updateLabel(label);
+        return label;
+    }
+
+    /**
+     * A number over an enemy's head (crit = headshot)
+     */
+    spawnDamage(amount, position, crit = false) {
+        this.spawn(crit ? `${amount}!` : `${amount}`, position, { crit });
+    }
+
+    /**
+     * Damage taken by the player, shown just in front of the camera
+     */
+    spawnPlayerDamage(amount) {
+        const camera = this.game.camera;
+        const position = camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(1.5).add(camera.position);
+        position.y -= 0.3;
+        this.spawn(`-${Math.round(amount)}`, position, { color: FloatingText.COLORS.playerDamage });
+    }
+
+    acquire() {
+        let element = this.pool.pop();
+        if (!element) {
+            element = document.createElement('div');
+            element.className = 'floating-text';
+            this.container.appendChild(element);
+        }
+        return { element, position: new THREE.Vector3(), age: 0 };
     }
 
-    spawn(text, position, color = '#fff', size = '20px') {
-        const div = document.createElement('div');
-        div.className = 'floating-text';
-        div.textContent = text;
-        div.style.color = color;
-        div.style.fontSize = size;
+    release(label) {
+        label.element.style.display = 'none';
+        this.pool.push(label.element);
+    }
 
-        // Initial positioning
-        this.updatePosition(div, position);
+    /**
+     * Per frame, after the camera has its render pose
+     */
+    update(delta) {
+        for (let i = this.labels.length - 1; i >= 0; i--) {
+            const label = this.labels[i];
+            label.age += delta;
 
-        this.container.appendChild(div);
+            if (label.age >= this.duration) {
+                this.labels.splice(i, 1);
+                this.release(label);
+                continue;
+            }
 
-        // Remove after animation (1s defined in CSS)
-        setTimeout(() => {
-            if (div.parentNode) div.parentNode.removeChild(div);
-        }, 1000);
+            label.position.y += this.riseSpeed * delta;
+            this.updateLabel(label);
+        }
     }
 
     updatePosition(element, position) {
         // Project 3D position to 2D screen space
-        const vector = position.clone();
+        const vector = this.projected.copy(position);
         vector.project(this.game.camera);
 
+        // Behind the camera
+        if (vector.z > 1) {
+            element.style.visibility = 'hidden';
+            return;
+        }
+
         const x = (vector.x * 0.5 + 0.5) * window.innerWidth;
         const y = (-(vector.y * 0.5) + 0.5) * window.innerHeight;
 
+        element.style.visibility = '';
         element.style.left = `${x}px`;
         element.style.top = `${y}px`;
     }
 
-    // We don't necessarily need an update loop for all texts if we use CSS animations for standardized movement,
-    // BUT if the camera moves, the text should ideally track the world position. 
-    // CSS-only "floatUp" is screen-space relative.
-    // For a simple FPS, static screen-space spawn at impact point is often "good enough" and cleaner than tracking 50 divs.
-    // If the player turns quickly, the numbers will "float" in screen space (like old arcade games).
-    // Let's stick to spawn-at-point for simplicity and performance first. 
-    // If it feels bad, we can add a tracking loop.
+    updateLabel(label) {
+        this.updatePosition(label.element, label.position);
+        label.element.style.opacity = 1 - Math.max(0, label.age / this.duration - 0.5) * 2; // Fade over the second half
+    }
+
+    reset() {
+        this.labels.forEach(label => this.release(label));
+        this.labels = [];
+    }
 }
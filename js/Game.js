@@ -3,8 +3,19 @@ import { Player } from './Player.js';
 import { World } from './World.js';
 import { InputManager } from './InputManager.js';
 import { EnemyManager } from './EnemyManager.js';
+import { EnemyRegistry } from './EnemyRegistry.js';
 import { AudioManager } from './AudioManager.js';
 import { LootManager } from './LootManager.js';
+import { GameData } from './GameData.js';
+import { SaveManager } from './SaveManager.js';
+import { ShopManager } from './ShopManager.js';
+import { ProjectileManager } from './ProjectileManager.js';
+import { ParticleSystem } from './ParticleSystem.js';
+import { FloatingText } from './FloatingText.js';
+import { RenderInterpolator } from './RenderInterpolator.js';
+
+const DIFFICULTY_NAMES = ['Very Easy', 'Easy', 'Normal', 'Hard', 'Very Hard', 'Nightmare'];
+const DIFFICULTY_COLORS = ['#4ade80', '#88ff88', '#fff', '#ffaa00', '#ff4444', '#aa0000'];
 
 /**
  * Main Game class - orchestrates all game systems
@@ -16,26 +27,50 @@ export class Game {
         this.renderer = null;
         this.clock = new THREE.Clock();
 
+        // Fixed-timestep simulation
+        this.fixedStep = 1 / 60;
+        this.maxSubSteps = 5;         // Catch-up cap per frame; longer hitches are dropped, not replayed
+        this.maxFrameDelta = 0.25;    // Clamp for tab-switches and stalls
+        this.accumulator = 0;
+        this.timeScale = 1;           // 0 = frozen, <1 = slow motion
+        this.interpolator = new RenderInterpolator();
+
         this.player = null;
         this.world = null;
         this.inputManager = null;
         this.enemyManager = null;
+        this.enemyRegistry = null;
         this.audioManager = null;
+        this.gameData = null;
+        this.saveManager = null;
 
         this.isRunning = false;
+        this.isGameOver = false;
 
         // DOM elements
         this.blocker = document.getElementById('blocker');
         this.crosshair = document.getElementById('crosshair');
         this.hud = document.getElementById('hud');
+        this.continueButton = document.getElementById('btn-continue');
     }
 
-    init() {
+    async init() {
         this.setupRenderer();
         this.setupScene();
         this.setupCamera();
         this.setupLighting();
 
+        // Data definitions must be in place before the systems that read them are built
+        this.gameData = new GameData(this);
+        await this.gameData.load();
+
+        this.saveManager = new SaveManager(this);
+        this.saveManager.init();
+
+        // Enemy types (data + built-in meshes) before anything spawns or loads their sounds
+        this.enemyRegistry = new EnemyRegistry(this);
+        this.enemyRegistry.init();
+
         // Initialize game systems
         this.inputManager = new InputManager(this);
         this.world = new World(this);
@@ -43,6 +78,13 @@ export class Game {
         this.enemyManager = new EnemyManager(this);
         this.audioManager = new AudioManager(this);
         this.lootManager = new LootManager(this);
+        this.shopManager = new ShopManager(this);
+        this.projectileManager = new ProjectileManager(this);
+        this.particleSystem = new ParticleSystem(this);
+        this.floatingText = new FloatingText(this);
+
+        // Saved settings go in before wave 1 is sized
+        this.applySavedSettings();
 
         this.world.init();
         this.player.init();
@@ -50,6 +92,9 @@ export class Game {
         this.enemyManager.init();
         this.audioManager.init();
         this.lootManager.init();
+        this.shopManager.init();
+        this.projectileManager.init();
+        this.particleSystem.init();
 
         // Handle window resize
         window.addEventListener('resize', () => this.onWindowResize());
@@ -65,19 +110,25 @@ export class Game {
 
     setupUI() {
         // Menu Navigation
-        const screens = {
+        this.screens = {
             main: document.getElementById('main-menu'),
             settings: document.getElementById('settings-menu'),
             about: document.getElementById('about-menu'),
-            credits: document.getElementById('credits-menu')
+            credits: document.getElementById('credits-menu'),
+            shop: document.getElementById('shop-menu'),
+            gameover: document.getElementById('gameover-menu')
         };
 
-        const showScreen = (screenName) => {
-            Object.values(screens).forEach(s => s.classList.add('hidden'));
-            screens[screenName].classList.remove('hidden');
-        };
+        const showScreen = (screenName) => this.showScreen(screenName);
 
         // Main Menu Buttons
+        const checkpoint = this.saveManager.checkpoint;
+        if (checkpoint) {
+            this.continueButton.textContent = `CONTINUE (WAVE ${checkpoint.wave})`;
+            this.continueButton.hidden = false;
+        }
+        this.continueButton.addEventListener('click', () => this.continueFromCheckpoint());
+
         document.getElementById('btn-resume').addEventListener('click', () => {
             this.player.controls.lock();
         });
@@ -86,6 +137,9 @@ export class Game {
         document.getElementById('btn-about').addEventListener('click', () => showScreen('about'));
         document.getElementById('btn-credits').addEventListener('click', () => showScreen('credits'));
 
+        // Game Over
+        document.getElementById('btn-restart').addEventListener('click', () => this.restartRun());
+
         // Back Buttons
         document.querySelectorAll('.btn-back').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -117,18 +171,67 @@ export class Game {
         });
 
         // Difficulty Settings
-        const diffNames = ['Very Easy', 'Easy', 'Normal', 'Hard', 'Very Hard', 'Nightmare'];
-        const diffColors = ['#4ade80', '#88ff88', '#fff', '#ffaa00', '#ff4444', '#aa0000'];
-
         diffSlider.addEventListener('input', (e) => {
-            const val = parseInt(e.target.value) - 1;
-            diffLabel.textContent = diffNames[val];
-            diffLabel.style.color = diffColors[val];
+            const level = parseInt(e.target.value);
+            this.setDifficultyLabel(level);
 
             if (this.enemyManager) {
-                this.enemyManager.setDifficulty(val + 1);
+                this.enemyManager.setDifficulty(level);
             }
         });
+
+        // Persist once the slider is released
+        musicSlider.addEventListener('change', (e) => this.saveManager.updateSettings({ musicVolume: e.target.value / 100 }));
+        sfxSlider.addEventListener('change', (e) => this.saveManager.updateSettings({ sfxVolume: e.target.value / 100 }));
+        diffSlider.addEventListener('change', (e) => this.saveManager.updateSettings({ difficulty: parseInt(e.target.value) }));
+    }
+
+    setDifficultyLabel(level) {
+        const diffLabel = document.getElementById('difficulty-label');
+        diffLabel.textContent = DIFFICULTY_NAMES[level - 1];
+        diffLabel.style.color = DIFFICULTY_COLORS[level - 1];
+    }
+
+    /**
+     * Push saved settings into the sliders and systems (only the ones the player has changed)
+     */
+    applySavedSettings() {
+        const settings = this.saveManager.settings;
+
+        if (settings.musicVolume !== undefined) {
+            document.getElementById('slider-music').value = settings.musicVolume * 100;
+            this.audioManager.musicVolume = settings.musicVolume;
+        }
+
+        if (settings.sfxVolume !== undefined) {
+            document.getElementById('slider-sfx').value = settings.sfxVolume * 100;
+            this.audioManager.sfxVolume = settings.sfxVolume;
+        }
+
+        if (settings.difficulty !== undefined) {
+            document.getElementById('slider-difficulty').value = settings.difficulty;
+            this.setDifficultyLabel(settings.difficulty);
+            this.enemyManager.setDifficulty(settings.difficulty);
+        }
+    }
+
+    /**
+     * Re-read data/game.json and push the new values into live systems (dev panel "Reload data").
+     * Enemy HP and wave size multipliers apply to the next spawn / wave. If either file fails to
+     * load, nothing changes.
+     */
+    async reloadGameData() {
+        if (!(await this.gameData.reload())) return;
+        this.enemyRegistry.registerData(this.gameData.enemies);
+        this.player.applyGameData(this.gameData);
+        this.shopManager.reapplyUpgrades();
+        this.lootManager.clearPools();
+        console.log('Game data reloaded', this.gameData.tuning);
+    }
+
+    showScreen(screenName) {
+        Object.values(this.screens).forEach(s => s.classList.add('hidden'));
+        this.screens[screenName].classList.remove('hidden');
     }
 
     setupRenderer() {
@@ -182,7 +285,10 @@ export class Game {
     }
 
     start() {
+        if (this.isGameOver) return;
+
         this.isRunning = true;
+        this.continueButton.hidden = true;
         this.blocker.classList.add('hidden');
         this.crosshair.classList.add('visible');
         this.hud.classList.add('visible');
@@ -193,21 +299,161 @@ export class Game {
         this.blocker.classList.remove('hidden');
         this.crosshair.classList.remove('visible');
         this.hud.classList.remove('visible');
+
+        if (this.isGameOver) {
+            this.showScreen('gameover');
+        } else if (this.shopManager.isOpen) {
+            this.showScreen('shop');
+        }
+    }
+
+    /**
+     * Called by Player when health reaches zero - freezes the run and shows the summary
+     */
+    gameOver() {
+        if (this.isGameOver) return;
+        this.isGameOver = true;
+
+        document.getElementById('gameover-wave').textContent = this.enemyManager.currentWave;
+        document.getElementById('gameover-kills').textContent = this.enemyManager.killCount;
+        document.getElementById('gameover-money').textContent = this.player.money;
+
+        const difficulty = this.enemyManager.difficulty;
+        const isHighScore = this.saveManager.recordRun({
+            difficulty,
+            wave: this.enemyManager.currentWave,
+            kills: this.enemyManager.killCount,
+            money: this.player.money
+        });
+        this.saveManager.clearCheckpoint();
+
+        const best = this.saveManager.getHighScore(difficulty);
+        document.getElementById('gameover-best').textContent = isHighScore
+            ? `NEW HIGH SCORE (${DIFFICULTY_NAMES[difficulty - 1]})!`
+            : `Best (${DIFFICULTY_NAMES[difficulty - 1]}): Wave ${best.wave}, ${best.kills} kills`;
+
+        const stats = this.saveManager.data.stats;
+        document.getElementById('gameover-lifetime').textContent =
+            `Lifetime: ${stats.runs} runs, ${stats.kills} kills, ${stats.wavesCleared} waves cleared, $${stats.moneyCollected} collected`;
+
+        console.log(`Game over on wave ${this.enemyManager.currentWave} with ${this.enemyManager.killCount} kills`);
+
+        // Unlocking fires Player's 'unlock' handler, which calls pause()
+        if (this.player.controls.isLocked) {
+            this.player.controls.unlock();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Save a mid-run checkpoint for the start of nextWave (called between waves)
+     */
+    saveCheckpoint(nextWave) {
+        this.saveManager.saveCheckpoint({
+            wave: nextWave,
+            kills: this.enemyManager.killCount,
+            shop: { ...this.shopManager.purchases },
+            ...this.player.getCheckpointState()
+        });
+    }
+
+    continueFromCheckpoint() {
+        const checkpoint = this.saveManager.checkpoint;
+        if (!checkpoint) return;
+
+        this.enemyManager.reset({ wave: checkpoint.wave, kills: checkpoint.kills });
+        this.lootManager.reset();
+        this.projectileManager.reset();
+        this.particleSystem.reset();
+        this.floatingText.reset();
+        this.player.reset();
+        this.shopManager.restore(checkpoint.shop || {});
+        this.player.applyCheckpoint(checkpoint);
+        this.interpolator.reset();
+
+        console.log(`Continuing from wave ${checkpoint.wave}`);
+        this.player.controls.lock();
+    }
+
+    /**
+     * Reset every run-scoped system and drop straight back into the game (no page reload)
+     */
+    restartRun() {
+        this.enemyManager.reset();
+        this.lootManager.reset();
+        this.projectileManager.reset();
+        this.particleSystem.reset();
+        this.floatingText.reset();
+        this.shopManager.reset();
+        this.player.reset();
+        this.interpolator.reset();
+
+        this.isGameOver = false;
+        this.showScreen('main');
+        this.player.controls.lock();
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+        console.log(`Time scale: ${this.timeScale}`);
+    }
+
+    /**
+     * Objects whose rendered position is blended between fixed steps
+     */
+    getInterpolatedObjects() {
+        const objects = [this.player.controls.object];
+        if (this.player.currentVehicle) objects.push(this.player.currentVehicle);
+        for (const enemy of this.enemyManager.enemies) {
+            if (enemy.mesh) objects.push(enemy.mesh);
+        }
+        for (const projectile of this.projectileManager.projectiles) {
+            objects.push(projectile.mesh);
+        }
+        return objects;
+    }
+
+    /**
+     * One fixed simulation step
+     */
+    step(delta) {
+        this.player.update(delta);
+        this.world.update(delta);
+        this.enemyManager.update(delta);
+        this.lootManager.update(delta);
+        this.projectileManager.update(delta);
+        this.particleSystem.update(delta);
     }
 
     animate() {
         requestAnimationFrame(() => this.animate());
 
-        const delta = this.clock.getDelta();
+        const frameDelta = Math.min(this.clock.getDelta(), this.maxFrameDelta);
 
-        if (this.isRunning) {
-            this.player.update(delta);
-            this.world.update(delta);
-            this.enemyManager.update(delta);
-            this.lootManager.update(delta);
+        if (!this.isRunning) {
+            this.accumulator = 0;
+            this.renderer.render(this.scene, this.camera);
+            return;
         }
 
+        this.accumulator += frameDelta * this.timeScale;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedStep && steps < this.maxSubSteps && this.isRunning) {
+            this.interpolator.beginStep(this.getInterpolatedObjects());
+            this.step(this.fixedStep);
+            this.accumulator -= this.fixedStep;
+            steps++;
+        }
+
+        // Still behind after the cap: drop the backlog rather than spiral
+        if (this.accumulator >= this.fixedStep) this.accumulator = 0;
+
+        this.interpolator.apply(this.getInterpolatedObjects(), this.accumulator / this.fixedStep);
+        this.floatingText.update(frameDelta * this.timeScale); // Reproject labels from the render pose
         this.renderer.render(this.scene, this.camera);
+        this.interpolator.restore();
     }
 
     onWindowResize() {
@@ -0,0 +1,692 @@
+/**
+ * Schema for entries of the `weapons` array in data/game.json.
+ * Rotations are radians (same convention as rotY in world.json).
+ */
+const WEAPON_SCHEMA = {
+    name: { type: 'string', required: true },
+    path: { type: 'string', required: true },
+    // Locked weapons have to be bought in the shop each run
+    locked: { type: 'boolean', default: false },
+    scale: { type: 'number', default: 1, min: 0 },
+    position: { type: 'vec3', default: { x: 0, y: 0, z: 0 } },
+    rotation: { type: 'vec3', default: { x: 0, y: 0, z: 0 } },
+    damage: { type: 'number', required: true, min: 0 },
+    fireRate: { type: 'number', required: true, min: 0.01 },
+    magazine: { type: 'number', required: true, min: 1 },
+    // Spare rounds carried on top of the magazine; reloads draw from it, ammo pickups and the shop refill it
+    reserve: { type: 'number', default: 60, min: 0 },
+    reloadTime: { type: 'number', default: 1.5, min: 0 },
+    recoil: { type: 'number', default: 0.15, min: 0 },
+    cameraRecoil: { type: 'number', default: 0, min: 0 },
+    automatic: { type: 'boolean', default: false },
+    muzzleOffset: { type: 'vec3', default: { x: 0, y: 0.2, z: -1.5 } },
+    sounds: { type: 'object', default: {} },
+    // [{ distance, multiplier }] points (FALLOFF_POINT_SCHEMA), linearly interpolated; empty = no falloff
+    falloff: { type: 'array', default: [] },
+    // Per-weapon overrides of combat.hitZones
+    hitZones: { type: 'object', default: {} }
+};
+
+// Distances must be distinct: each pair of neighbouring points is a segment interpolated over its length
+const FALLOFF_POINT_SCHEMA = {
+    distance: { type: 'number', required: true, min: 0 },
+    multiplier: { type: 'number', required: true, min: 0 }
+};
+
+const TUNING_SCHEMA = {
+    playerSpeed: { type: 'number', default: 1.0, min: 0 },
+    enemyHpMult: { type: 'number', default: 1.0, min: 0 },
+    spawnRateMult: { type: 'number', default: 1.0, min: 0 }
+};
+
+const SHOP_SCHEMA = {
+    atmModel: { type: 'string', default: 'ATM.glb' },
+    atmRange: { type: 'number', default: 3, min: 0 },
+    items: { type: 'array', default: [] }
+};
+
+const SHOP_ITEM_SCHEMA = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    type: { type: 'string', required: true },
+    price: { type: 'number', required: true, min: 0 },
+    priceGrowth: { type: 'number', default: 1, min: 1 },
+    maxLevel: { type: 'number', default: 0, min: 0 },
+    description: { type: 'string', default: '' }
+};
+
+/**
+ * Extra fields each shop item type needs, checked after SHOP_ITEM_SCHEMA.
+ * The keys are the types ShopManager.applyItem() knows; any other type drops the item.
+ */
+const SHOP_ITEM_TYPE_SCHEMAS = {
+    ammo: {},
+    weaponUnlock: { weapon: { type: 'string', required: true } },
+    weaponUpgrade: {
+        stat: { type: 'string', required: true },
+        amount: { type: 'number', required: true, min: 0 }
+    },
+    armor: { amount: { type: 'number', required: true, min: 0 } },
+    maxHealth: { amount: { type: 'number', required: true, min: 0 } }
+};
+
+const WEAPON_UPGRADE_STATS = ['damage', 'fireRate', 'magazine'];
+
+/**
+ * Schema for enemies.<type> - everything EnemyRegistry needs to build the type.
+ * It renders with a registered mesh factory (mesh, defaults to the type name) or a GLB (model).
+ */
+const ENEMY_SCHEMA = {
+    health: { type: 'number', required: true, min: 1 },
+    damage: { type: 'number', required: true, min: 0 },
+    speed: { type: 'number', default: 3, min: 0 },          // Patrol
+    chaseSpeed: { type: 'number', default: 5, min: 0 },
+    detectionRange: { type: 'number', default: 20, min: 0 },
+    loseInterestRange: { type: 'number', default: 30, min: 0 },
+    collisionRadius: { type: 'number', default: 0.5, min: 0.05 },
+    attack: { type: 'object', default: {} },
+    mesh: { type: 'string', default: '' },
+    model: { type: 'string', default: '' },                 // GLB path, e.g. assets/enemies/Spider.glb
+    modelScale: { type: 'number', default: 1, min: 0 },
+    sound: { type: 'string', default: '' },                 // Aggro sound, assets/sounds/<key>.mp3
+    lootTable: { type: 'string', default: 'default' },
+    deathEffect: { type: 'string', default: 'blood' },      // ParticleSystem preset for hits and death
+    spawnWeight: { type: 'number', default: 1, min: 0 }     // Random picks; 0 = scripted/summoned only
+};
+
+/**
+ * Schema for enemies.<type>.attack. Melee attacks hit within range on cooldown;
+ * ranged attacks stop, wind up, then fire the named projectile.
+ */
+const ENEMY_ATTACK_SCHEMA = {
+    type: { type: 'string', default: 'melee' },
+    range: { type: 'number', default: 2, min: 0 },
+    cooldown: { type: 'number', default: 1, min: 0.05 },
+    // Ranged only
+    projectile: { type: 'string', default: '' },
+    windup: { type: 'number', default: 0, min: 0 },
+    minRange: { type: 'number', default: 0, min: 0 },
+    muzzleHeight: { type: 'number', default: 1.3, min: 0 },
+    spread: { type: 'number', default: 0, min: 0 },
+    // statusEffects name applied to the player on a melee hit (ranged: see projectiles.<name>.status)
+    status: { type: 'string', default: '' }
+};
+
+const PROJECTILE_SCHEMA = {
+    speed: { type: 'number', required: true, min: 0.1 },
+    damage: { type: 'number', required: true, min: 0 },
+    radius: { type: 'number', default: 0.2, min: 0.01 },
+    color: { type: 'string', default: '#ffffff' },
+    lifetime: { type: 'number', default: 4, min: 0 },
+    gravity: { type: 'number', default: 0 },
+    tone: { type: 'number', default: 440, min: 20 },
+    status: { type: 'string', default: '' }         // statusEffects name applied on hit
+};
+
+/**
+ * Schema for statusEffects.<name> (StatusEffects.js). modifiers maps a stat
+ * (speed, damage, damageTaken) to a multiplier; ticks deal or heal per stack.
+ */
+const STATUS_EFFECT_SCHEMA = {
+    label: { type: 'string', default: '' },
+    icon: { type: 'string', default: '*' },
+    color: { type: 'string', default: '#ffffff' },
+    duration: { type: 'number', required: true, min: 0.05 },
+    stacking: { type: 'string', default: 'refresh' },   // refresh | extend | stack | ignore
+    maxStacks: { type: 'number', default: 1, min: 1 },
+    maxDuration: { type: 'number', default: 0, min: 0 }, // extend cap; 0 = none
+    modifiers: { type: 'object', default: {} },
+    tickInterval: { type: 'number', default: 0, min: 0 }, // 0 = no ticks
+    tickDamage: { type: 'number', default: 0, min: 0 },
+    tickHeal: { type: 'number', default: 0, min: 0 }
+};
+
+const STATUS_STACKING = ['refresh', 'extend', 'stack', 'ignore'];
+
+/**
+ * Schema for pickups.<name> - items that drop as loot (loot table entries name these).
+ * Without a model (or before it has loaded) a primitive stands in: coin | cone | box.
+ */
+const PICKUP_SCHEMA = {
+    model: { type: 'string', default: '' },               // GLB in assets/, preloaded by World
+    scale: { type: 'number', default: 1, min: 0 },
+    primitive: { type: 'string', default: 'box' },
+    color: { type: 'string', default: '#ffffff' },        // Primitive colour
+    pickupRadius: { type: 'number', default: 1.5, min: 0 },
+    magnetRadius: { type: 'number', default: 0, min: 0 },  // Slides toward the player inside this; 0 = off
+    effects: { type: 'array', required: true },
+    sound: { type: 'object', default: {} },
+    despawn: { type: 'number', default: 0, min: 0 }       // Seconds on the ground; 0 = until collected
+};
+
+const PICKUP_EFFECT_TYPES = ['heal', 'armor', 'money', 'ammo', 'status'];
+
+/**
+ * Schema for pickups.<name>.effects entries, applied in order by Player.applyPickupEffect().
+ * heal / armor / money use amount (diminishing armor: amount × 100 / (100 + armor));
+ * ammo refills the reserve of every unlocked weapon; status applies the named statusEffects entry.
+ */
+const PICKUP_EFFECT_SCHEMA = {
+    type: { type: 'string', required: true },
+    amount: { type: 'number', default: 0 },
+    diminishing: { type: 'boolean', default: false },
+    status: { type: 'string', default: '' }
+};
+
+// key plays assets/sounds/<key>.mp3; otherwise a synthesized tone
+const PICKUP_SOUND_SCHEMA = {
+    key: { type: 'string', default: '' },
+    tone: { type: 'number', default: 800, min: 20 },
+    duration: { type: 'number', default: 0.1, min: 0 },
+    volume: { type: 'number', default: 0.4, min: 0 },
+    wave: { type: 'string', default: 'sine' }
+};
+
+/**
+ * Schema for the loot section: tables plus LootManager settings for drops on the ground
+ */
+const LOOT_SCHEMA = {
+    tables: { type: 'object', default: {} },
+    blinkTime: { type: 'number', default: 3, min: 0 },     // Seconds before despawn that a drop blinks
+    blinkRate: { type: 'number', default: 4, min: 0.1 },   // Blinks per second
+    magnetSpeed: { type: 'number', default: 10, min: 0 },
+    maxDrops: { type: 'number', default: 150, min: 1 },    // Oldest drop goes when exceeded
+    poolSize: { type: 'number', default: 32, min: 0 }      // Idle meshes kept per pickup type
+};
+
+/**
+ * Schema for loot.tables.<name>. Each kill drops the guaranteed entries plus `rolls`
+ * weighted picks from `entries`; an empty item is a "nothing" result.
+ */
+const LOOT_TABLE_SCHEMA = {
+    rolls: { type: 'number', default: 1, min: 0 },
+    entries: { type: 'array', default: [] },
+    guaranteed: { type: 'array', default: [] },
+    pity: { type: 'array', default: [] }
+};
+
+const LOOT_ENTRY_SCHEMA = {
+    item: { type: 'string', default: '' },
+    weight: { type: 'number', default: 1, min: 0 },
+    count: { type: 'number', default: 1, min: 1 },
+    minWave: { type: 'number', default: 0, min: 0 },
+    maxWave: { type: 'number', default: 0, min: 0 }     // 0 = no upper limit
+};
+
+// Forces item after `after` kills on this table in a row without it
+const LOOT_PITY_SCHEMA = {
+    item: { type: 'string', required: true },
+    after: { type: 'number', required: true, min: 1 }
+};
+
+const BOSSES_SCHEMA = {
+    // A boss replaces the regular spawns on every Nth wave
+    everyWaves: { type: 'number', default: 5, min: 1 },
+    list: { type: 'array', default: [] }
+};
+
+/**
+ * Schema for bosses.list entries. Bosses cycle through the list in order.
+ */
+const BOSS_SCHEMA = {
+    name: { type: 'string', required: true },
+    type: { type: 'string', required: true }, // Base enemy mesh (robot, demon, ...)
+    scale: { type: 'number', default: 2, min: 0.1 },
+    health: { type: 'number', required: true, min: 1 },
+    damage: { type: 'number', required: true, min: 0 },
+    speed: { type: 'number', default: 2, min: 0 },
+    chaseSpeed: { type: 'number', default: 4, min: 0 },
+    detectionRange: { type: 'number', default: 60, min: 0 },
+    attack: { type: 'object', default: {} },
+    lootTable: { type: 'string', default: 'boss' },
+    // Entered in order once health / maxHealth drops to healthBelow
+    phases: { type: 'array', default: [] }
+};
+
+const BOSS_PHASE_SCHEMA = {
+    healthBelow: { type: 'number', required: true, min: 0 },
+    message: { type: 'string', default: '' },
+    speedMult: { type: 'number', default: 1, min: 0 },
+    cooldownMult: { type: 'number', default: 1, min: 0.05 },
+    summonType: { type: 'string', default: '' },
+    summonCount: { type: 'number', default: 0, min: 0 }
+};
+
+// ═══════════════════════════════════════════════════════════
+// data/waves.json
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Schema for entries of the `waves` array; waves[0] is wave 1. Waves past the end
+ * of the list fall back to the endless formula in EnemyManager.
+ */
+const WAVE_SCHEMA = {
+    groups: { type: 'array', required: true },
+    boss: { type: 'string', default: '' },          // bosses.list name spawned on top of the groups
+    modifiers: { type: 'array', default: [] },      // Applied to every group
+    reward: { type: 'object', default: {} },        // { money, armor, heal } on completion
+    message: { type: 'string', default: '' }
+};
+
+const WAVE_GROUP_SCHEMA = {
+    type: { type: 'string', default: 'random' },
+    count: { type: 'number', required: true, min: 1 },
+    delay: { type: 'number', default: 0, min: 0 },    // Seconds after the wave starts
+    interval: { type: 'number', default: 1, min: 0 }, // Seconds between spawns within the group
+    zone: { type: 'string', default: '' },          // assets/world.json spawnZones name; empty = any spawn
+    modifiers: { type: 'array', default: [] }
+};
+
+const MODIFIER_SCHEMA = {
+    healthMult: { type: 'number', default: 1, min: 0 },
+    speedMult: { type: 'number', default: 1, min: 0 },
+    damageMult: { type: 'number', default: 1, min: 0 },
+    damageTakenMult: { type: 'number', default: 1, min: 0 },
+    scale: { type: 'number', default: 1, min: 0.1 },
+    color: { type: 'string', default: '' }          // Aura ring colour
+};
+
+const COMBAT_SCHEMA = {
+    hitZones: { type: 'object', default: { head: 2.0, body: 1.0, limb: 0.75 } },
+    armorReduction: { type: 'number', default: 0.05, min: 0 } // Damage taken ÷ (1 + armor × armorReduction)
+};
+
+/**
+ * Check a plain object against a schema and fill in defaults.
+ * Returns { value, errors } - value is null when any error was found.
+ */
+export function validateSchema(entry, schema, label) {
+    const errors = [];
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { value: null, errors: [`${label}: expected an object`] };
+    }
+
+    const value = { ...entry };
+
+    for (const [key, rule] of Object.entries(schema)) {
+        const field = entry[key];
+
+        if (field === undefined) {
+            if (rule.required) {
+                errors.push(`${label}: missing required field "${key}"`);
+            } else if (rule.default !== undefined) {
+                value[key] = structuredClone(rule.default);
+            }
+            continue;
+        }
+
+        switch (rule.type) {
+            case 'vec3':
+                if (!field || typeof field !== 'object' || !['x', 'y', 'z'].every(axis => typeof field[axis] === 'number')) {
+                    errors.push(`${label}: "${key}" must be an {x, y, z} object of numbers`);
+                }
+                break;
+            case 'array':
+                if (!Array.isArray(field)) errors.push(`${label}: "${key}" must be an array`);
+                break;
+            case 'object':
+                if (!field || typeof field !== 'object' || Array.isArray(field)) {
+                    errors.push(`${label}: "${key}" must be an object`);
+                }
+                break;
+            default:
+                if (typeof field !== rule.type) {
+                    errors.push(`${label}: "${key}" must be a ${rule.type}`);
+                } else if (rule.type === 'number' && rule.min !== undefined && field < rule.min) {
+                    errors.push(`${label}: "${key}" must be >= ${rule.min}`);
+                }
+        }
+    }
+
+    return { value: errors.length ? null : value, errors };
+}
+
+/**
+ * GameData class - loads data/game.json and data/waves.json and validates the sections the code consumes
+ */
+export class GameData {
+    constructor(game) {
+        this.game = game;
+        this.url = 'data/game.json';
+        this.wavesUrl = 'data/waves.json';
+        this.data = {};
+        this.tuning = null;
+        this.combat = null;
+        this.weapons = [];
+        this.shop = null;
+        this.enemies = {};
+        this.projectiles = {};
+        this.statusEffects = {};
+        this.pickups = {};
+        this.loot = validateSchema({}, LOOT_SCHEMA, 'loot').value;
+        this.bosses = null;
+        this.waves = { modifiers: {}, waves: [] };
+    }
+
+    /**
+     * First load: a file that can't be fetched or parsed leaves its sections on schema defaults
+     */
+    async load() {
+        const [data, waves] = await Promise.all([this.fetchJson(this.url), this.fetchJson(this.wavesUrl)]);
+        return this.apply(data || {}, waves || {});
+    }
+
+    /**
+     * Hot reload (dev panel "Reload data"): the current data is only replaced when both files
+     * fetched and parsed, so a typo mid-edit doesn't reset every section. Returns whether it reloaded.
+     */
+    async reload() {
+        const [data, waves] = await Promise.all([this.fetchJson(this.url), this.fetchJson(this.wavesUrl)]);
+        if (!data || !waves) {
+            console.error('Game data reload failed; keeping the current data');
+            return false;
+        }
+        this.apply(data, waves);
+        return true;
+    }
+
+    apply(data, waves) {
+        this.data = data;
+
+        this.tuning = this.validateSection(this.data.tuning, TUNING_SCHEMA, 'tuning');
+        this.combat = this.validateSection(this.data.combat, COMBAT_SCHEMA, 'combat');
+        this.weapons = this.validateList(this.data.weapons, WEAPON_SCHEMA, 'weapon');
+        this.weapons.forEach(weapon => {
+            weapon.falloff = this.validateFalloff(weapon.falloff, `weapon "${weapon.name}"`);
+        });
+        this.shop = this.validateSection(this.data.shop, SHOP_SCHEMA, 'shop');
+        this.shop.items = this.validateShopItems(this.shop.items);
+        this.statusEffects = this.validateStatusEffects(this.data.statusEffects);
+        this.projectiles = this.validateMap(this.data.projectiles, PROJECTILE_SCHEMA, 'projectiles');
+        Object.entries(this.projectiles).forEach(([name, projectile]) => {
+            projectile.status = this.validateStatusName(projectile.status, `projectiles.${name}`);
+        });
+        this.pickups = this.validatePickups(this.data.pickups);
+        this.loot = this.validateLoot(this.data.loot);
+        this.enemies = this.validateEnemies(this.data.enemies);
+        this.bosses = this.validateBosses(this.data.bosses);
+        this.waves = this.validateWaves(waves);
+        console.log(`Game data loaded: ${this.weapons.length} weapons, ${this.waves.waves.length} scripted waves`);
+
+        return this.data;
+    }
+
+    /**
+     * Parsed JSON, or null (logged) when the request or the parse fails
+     */
+    async fetchJson(url) {
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.json();
+        } catch (error) {
+            console.error(`Error loading ${url}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Validate a single object section, falling back to schema defaults when it is missing or invalid
+     */
+    validateSection(section, schema, name, source = this.url) {
+        const { value, errors } = validateSchema(section ?? {}, schema, name);
+        if (value) return value;
+
+        errors.forEach(error => console.error(`${source}: ${error}`));
+        return validateSchema({}, schema, name).value;
+    }
+
+    /**
+     * Wave script: named modifiers plus the waves that reference them.
+     * Unknown modifier / boss references are reported and dropped; zone names are
+     * resolved against world.json at spawn time.
+     */
+    validateWaves(file) {
+        const source = this.wavesUrl;
+        const modifiers = this.validateMap(file.modifiers, MODIFIER_SCHEMA, 'modifiers', source);
+        const waves = file.waves === undefined ? [] : this.validateList(file.waves, WAVE_SCHEMA, 'wave', source);
+
+        const knownModifiers = (list, label) => list.filter(name => {
+            if (modifiers[name]) return true;
+            console.error(`${source}: ${label}: unknown modifier "${name}"`);
+            return false;
+        });
+
+        waves.forEach((wave, index) => {
+            const label = `wave[${index}]`;
+            wave.modifiers = knownModifiers(wave.modifiers, label);
+
+            if (wave.boss && !this.bosses.list.some(boss => boss.name === wave.boss)) {
+                console.error(`${source}: ${label}: unknown boss "${wave.boss}"`);
+                wave.boss = '';
+            }
+
+            wave.groups = this.validateList(wave.groups, WAVE_GROUP_SCHEMA, `${label}.group`, source);
+            wave.groups.forEach((group, groupIndex) => {
+                group.modifiers = knownModifiers(group.modifiers, `${label}.group[${groupIndex}]`);
+            });
+        });
+
+        return { modifiers, waves };
+    }
+
+    /**
+     * Validate every value of a keyed object, dropping (and reporting) invalid ones
+     */
+    validateMap(map, schema, name, source = this.url) {
+        if (map === undefined) return {};
+        if (!map || typeof map !== 'object' || Array.isArray(map)) {
+            console.error(`${source}: "${name}" must be an object`);
+            return {};
+        }
+
+        const valid = {};
+        for (const [key, entry] of Object.entries(map)) {
+            const { value, errors } = validateSchema(entry, schema, `${name}.${key}`);
+            if (value) {
+                valid[key] = value;
+            } else {
+                errors.forEach(error => console.error(`${source}: ${error}`));
+            }
+        }
+        return valid;
+    }
+
+    /**
+     * Per-type enemy definitions (registered with EnemyRegistry at start-up)
+     */
+    validateEnemies(enemies) {
+        const valid = {};
+        for (const [type, def] of Object.entries(enemies ?? {})) {
+            const value = this.validateEnemy(type, def);
+            if (value) valid[type] = value;
+        }
+        return valid;
+    }
+
+    /**
+     * One enemy type, from data/game.json or EnemyRegistry.register(); null when invalid.
+     * A ranged attack must name a known projectile.
+     */
+    validateEnemy(type, def, source = this.url) {
+        const label = `enemies.${type}`;
+        const { value, errors } = validateSchema(def, ENEMY_SCHEMA, label);
+        if (!value) {
+            errors.forEach(error => console.error(`${source}: ${error}`));
+            return null;
+        }
+
+        if (!value.mesh && !value.model) value.mesh = type;
+        value.attack = this.validateAttack(value.attack, `${label}.attack`, source);
+        value.lootTable = this.validateLootTableName(value.lootTable, label, source);
+        return value;
+    }
+
+    validateLootTableName(name, label, source = this.url) {
+        if (this.loot.tables[name]) return name;
+        console.error(`${source}: ${label}: unknown loot table "${name}", using default`);
+        return 'default';
+    }
+
+    /**
+     * Status effect definitions; an unknown stacking rule falls back to refresh
+     */
+    validateStatusEffects(effects) {
+        const valid = this.validateMap(effects, STATUS_EFFECT_SCHEMA, 'statusEffects');
+
+        for (const [name, effect] of Object.entries(valid)) {
+            const label = `statusEffects.${name}`;
+            if (!STATUS_STACKING.includes(effect.stacking)) {
+                console.error(`${this.url}: ${label}: unknown stacking "${effect.stacking}", using refresh`);
+                effect.stacking = 'refresh';
+            }
+            for (const [stat, multiplier] of Object.entries(effect.modifiers)) {
+                if (typeof multiplier !== 'number') {
+                    console.error(`${this.url}: ${label}: modifier "${stat}" must be a number`);
+                    delete effect.modifiers[stat];
+                }
+            }
+        }
+        return valid;
+    }
+
+    /**
+     * Empty (none) or a known statusEffects name; unknown names are reported and cleared
+     */
+    validateStatusName(name, label, source = this.url) {
+        if (!name || this.statusEffects[name]) return name;
+        console.error(`${source}: ${label}: unknown status effect "${name}"`);
+        return '';
+    }
+
+    /**
+     * Falloff points sorted by distance; a point at the distance of the one before it
+     * (a segment with end <= start) is reported and dropped
+     */
+    validateFalloff(points, label) {
+        const sorted = this.validateList(points, FALLOFF_POINT_SCHEMA, `${label}.falloff`)
+            .sort((a, b) => a.distance - b.distance);
+
+        return sorted.filter((point, index) => {
+            if (index === 0 || point.distance > sorted[index - 1].distance) return true;
+            console.error(`${this.url}: ${label}.falloff: duplicate distance ${point.distance}, point dropped`);
+            return false;
+        });
+    }
+
+    /**
+     * Shop items; an unknown type, a missing per-type field or an unknown weapon / stat drops the item
+     */
+    validateShopItems(items) {
+        return this.validateList(items, SHOP_ITEM_SCHEMA, 'shop.item').filter(item => {
+            const label = `shop.items "${item.id}"`;
+            const schema = SHOP_ITEM_TYPE_SCHEMAS[item.type];
+            if (!schema) {
+                console.error(`${this.url}: ${label}: unknown type "${item.type}"`);
+                return false;
+            }
+
+            const { errors } = validateSchema(item, schema, label);
+            if (item.type === 'weaponUnlock' && !errors.length && !this.weapons.some(w => w.name === item.weapon)) {
+                errors.push(`${label}: unknown weapon "${item.weapon}"`);
+            }
+            if (item.type === 'weaponUpgrade' && !errors.length && !WEAPON_UPGRADE_STATS.includes(item.stat)) {
+                errors.push(`${label}: unknown stat "${item.stat}"`);
+            }
+            errors.forEach(error => console.error(`${this.url}: ${error}`));
+            return errors.length === 0;
+        });
+    }
+
+    /**
+     * Pickup definitions; effects of an unknown type are reported and dropped
+     */
+    validatePickups(pickups) {
+        const valid = this.validateMap(pickups, PICKUP_SCHEMA, 'pickups');
+
+        for (const [name, pickup] of Object.entries(valid)) {
+            const label = `pickups.${name}`;
+            pickup.effects = this.validateList(pickup.effects, PICKUP_EFFECT_SCHEMA, `${label}.effect`)
+                .filter(effect => {
+                    if (!PICKUP_EFFECT_TYPES.includes(effect.type)) {
+                        console.error(`${this.url}: ${label}: unknown effect type "${effect.type}"`);
+                        return false;
+                    }
+                    return effect.type !== 'status' || this.validateStatusName(effect.status, label) !== '';
+                });
+            pickup.sound = this.validateSection(pickup.sound, PICKUP_SOUND_SCHEMA, `${label}.sound`);
+        }
+        return valid;
+    }
+
+    /**
+     * Loot settings and the tables referenced by enemies.<type>.lootTable and bosses.list[].lootTable
+     */
+    validateLoot(loot) {
+        const value = this.validateSection(loot, LOOT_SCHEMA, 'loot');
+        const tables = this.validateMap(value.tables, LOOT_TABLE_SCHEMA, 'loot.tables');
+
+        // Empty item = "nothing" result in entries
+        const knownItem = label => entry => {
+            if (!entry.item || this.pickups[entry.item]) return true;
+            console.error(`${this.url}: ${label}: unknown pickup "${entry.item}"`);
+            return false;
+        };
+
+        for (const [name, table] of Object.entries(tables)) {
+            const label = `loot.tables.${name}`;
+            table.entries = this.validateList(table.entries, LOOT_ENTRY_SCHEMA, `${label}.entry`).filter(knownItem(label));
+            table.guaranteed = this.validateList(table.guaranteed, LOOT_ENTRY_SCHEMA, `${label}.guaranteed`).filter(knownItem(label));
+            table.pity = this.validateList(table.pity, LOOT_PITY_SCHEMA, `${label}.pity`).filter(knownItem(label));
+        }
+
+        if (!tables.default) console.error(`${this.url}: loot.tables.default is missing; enemies will drop nothing`);
+        value.tables = tables;
+        return value;
+    }
+
+    validateAttack(attack, label, source = this.url) {
+        const value = this.validateSection(attack, ENEMY_ATTACK_SCHEMA, label, source);
+        value.status = this.validateStatusName(value.status, label, source);
+        if (value.type === 'ranged' && !this.projectiles[value.projectile]) {
+            console.error(`${source}: ${label}: unknown projectile "${value.projectile}", using melee`);
+            value.type = 'melee';
+        }
+        return value;
+    }
+
+    validateBosses(bosses) {
+        const value = this.validateSection(bosses, BOSSES_SCHEMA, 'bosses');
+        value.list = this.validateList(value.list, BOSS_SCHEMA, 'bosses.list');
+
+        value.list.forEach((boss, index) => {
+            boss.attack = this.validateAttack(boss.attack, `bosses.list[${index}].attack`);
+            boss.lootTable = this.validateLootTableName(boss.lootTable, `bosses.list[${index}]`);
+            boss.phases = this.validateList(boss.phases, BOSS_PHASE_SCHEMA, `bosses.list[${index}].phase`)
+                .sort((a, b) => b.healthBelow - a.healthBelow);
+        });
+        return value;
+    }
+
+    /**
+     * Validate every entry of a data array, dropping (and reporting) invalid ones
+     */
+    validateList(list, schema, kind, source = this.url) {
+        if (!Array.isArray(list)) {
+            console.error(`${source}: "${kind}s" must be an array`);
+            return [];
+        }
+
+        const valid = [];
+        list.forEach((entry, index) => {
+            const { value, errors } = validateSchema(entry, schema, `${kind}[${index}]`);
+            if (value) {
+                valid.push(value);
+            } else {
+                errors.forEach(error => console.error(`${source}: ${error}`));
+            }
+        });
+        return valid;
+    }
+}
@@ -18,12 +18,12 @@ export class InputManager {
         // Track all key states
         document.addEventListener('keydown', (e) => {
             this.keys[e.code] = true;
-            this.handleKeyAction(e.code, true);
+            this.handleKeyAction(e.code, true, e);
         });
 
         document.addEventListener('keyup', (e) => {
             this.keys[e.code] = false;
-            this.handleKeyAction(e.code, false);
+            this.handleKeyAction(e.code, false, e);
         });
 
         // Track mouse position
@@ -40,7 +40,7 @@ export class InputManager {
         });
     }
 
-    handleKeyAction(code, isDown) {
+    handleKeyAction(code, isDown, event = {}) {
         // Handle special key actions here
         if (isDown) {
             switch (code) {
@@ -49,6 +49,13 @@ export class InputManager {
                         this.game.player.reload();
                     }
                     break;
+                case 'KeyB':
+                    // Ctrl+B saves a prefab in the level editor; no shop from modified presses or edit mode
+                    if (event.ctrlKey || event.metaKey) break;
+                    if (this.game.isRunning && this.game.shopManager && !this.game.player.editMode) {
+                        this.game.shopManager.open();
+                    }
+                    break;
             }
         }
     }
@@ -5,12 +5,15 @@ export class LootManager {
         this.game = game;
         this.drops = [];
         this.models = {};
+        this.pools = new Map(); // pickup type -> idle drop Groups, reused instead of cloning again
+        this.pityCounters = new Map(); // "table:item" -> kills on that table since the item last dropped
 
-        // Configuration
-        this.pickupRadius = 1.5;
+        // Configuration (pickup radius, despawn time and magnet radius are per pickup, data/game.json
+        // pickups; blink, magnet speed and the drop / pool caps are data/game.json loot settings)
         this.rotateSpeed = 2.0;
         this.floatSpeed = 2.0;
         this.floatHeight = 0.5;
+        this.scatterRadius = 0.8; // Extra drops from one kill spread out around the first
     }
 
     init() {
@@ -18,99 +21,249 @@ export class LootManager {
         console.log('LootManager initialized');
     }
 
+    /**
+     * Roll a loot table (data/game.json loot.tables) for the current wave and spawn the results around position
+     */
+    dropLoot(position, tableName) {
+        const items = this.rollLoot(tableName, this.game.enemyManager.currentWave);
+
+        items.forEach((item, index) => {
+            const angle = (index / items.length) * Math.PI * 2;
+            const offset = index === 0 ? 0 : this.scatterRadius;
+            this.spawnLoot(new THREE.Vector3(
+                position.x + Math.cos(angle) * offset,
+                0,
+                position.z + Math.sin(angle) * offset
+            ), item);
+        });
+        return items;
+    }
+
+    /**
+     * Item names for one kill: guaranteed drops, weighted rolls, then pity top-ups.
+     * Entries outside their minWave/maxWave window are skipped.
+     */
+    rollLoot(tableName, wave) {
+        const tables = this.game.gameData.loot.tables;
+        const table = tables[tableName] || tables.default;
+        if (!table) return [];
+
+        const inWave = entry => wave >= entry.minWave && (entry.maxWave === 0 || wave <= entry.maxWave);
+        const items = [];
+        const add = entry => {
+            for (let i = 0; i < entry.count; i++) items.push(entry.item);
+        };
+
+        table.guaranteed.filter(inWave).forEach(add);
+
+        const entries = table.entries.filter(inWave);
+        const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+        for (let roll = 0; roll < table.rolls && totalWeight > 0; roll++) {
+            let pick = Math.random() * totalWeight;
+            const entry = entries.find(candidate => (pick -= candidate.weight) < 0) || entries[entries.length - 1];
+            if (entry.item) add(entry);
+        }
+
+        for (const pity of table.pity) {
+            const key = `${tableName}:${pity.item}`;
+            if (items.includes(pity.item)) {
+                this.pityCounters.set(key, 0);
+                continue;
+            }
+
+            const misses = (this.pityCounters.get(key) || 0) + 1;
+            if (misses >= pity.after) {
+                items.push(pity.item);
+                this.pityCounters.set(key, 0);
+            } else {
+                this.pityCounters.set(key, misses);
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * Drop one pickup (data/game.json pickups.<type>) at position
+     */
     spawnLoot(position, type) {
-        let modelName;
-        if (type === 'coin') modelName = 'CoinDollarSign.glb';
-        else if (type === 'cowboyhat') modelName = 'SheriffHat.glb';
-        else if (type === 'potion') modelName = 'ComplexHealthPotion.glb';
+        const def = this.game.gameData.pickups[type];
+        if (!def) {
+            console.warn(`Unknown pickup "${type}"`);
+            return;
+        }
+
+        // Too many on the ground: the oldest one goes
+        if (this.drops.length >= this.game.gameData.loot.maxDrops) this.removeDrop(0);
 
-        // Find model in loaded assets
-        let mesh = null;
+        const group = this.acquireGroup(type, def);
+        group.position.copy(position);
+        group.position.y += 0.5;
+        group.rotation.set(0, 0, 0);
+        group.visible = true;
+
+        this.game.scene.add(group);
+
+        // Add to physics list
+        this.drops.push({
+            group: group, // Rotate the group
+            type: type,
+            def: def,
+            age: 0,
+            startY: group.position.y,
+            active: true
+        });
+    }
 
-        // Try to clone from loaded assets if available (Player/World should cache these)
-        // Placeholder check
-        const asset = this.game.world.getAsset(modelName);
+    /**
+     * A pooled Group for this pickup type, or a new one around a clone of the preloaded model
+     */
+    acquireGroup(type, def) {
+        const pool = this.pools.get(type);
+        if (pool && pool.length > 0) return pool.pop();
+
+        // Clone the preloaded model, or stand in with a primitive
+        const asset = def.model ? this.game.world.getAsset(def.model) : null;
+        let mesh;
         if (asset) {
             mesh = asset.clone();
+            mesh.scale.setScalar(def.scale);
         } else {
-            console.warn(`Loot model ${modelName} not found, using primitive.`);
-            const geo = type === 'coin' ? new THREE.CylinderGeometry(0.3, 0.3, 0.05, 16) : new THREE.ConeGeometry(0.3, 0.5, 16);
-            const mat = new THREE.MeshStandardMaterial({ color: type === 'coin' ? 0xffd700 : 0x8b4513 });
-            mesh = new THREE.Mesh(geo, mat);
-            if (type === 'coin') mesh.rotation.x = Math.PI / 2;
+            if (def.model) console.warn(`Loot model ${def.model} not found, using primitive.`);
+            mesh = this.createPrimitive(def);
         }
 
-        if (mesh) {
-            // Adjust inner mesh orientation if needed
-            if (type === 'coin') {
-                if (mesh.geometry && mesh.geometry.type === 'CylinderGeometry') {
-                    mesh.rotation.x = Math.PI / 2;
-                } else {
-                    // GLB Model - Adjust scale/rotation if needed.
-                    mesh.scale.set(3, 3, 3); // Make coin visible
-                }
-            } else if (type === 'cowboyhat') {
-                mesh.scale.set(0.2, 0.2, 0.2);
-            } else if (type === 'potion') {
-                mesh.scale.set(8, 8, 8); // Significantly larger
-            }
+        // Ensure mesh is centered in group
+        mesh.position.set(0, 0, 0);
+
+        // Wrapper Group for consistent rotation/floating
+        const group = new THREE.Group();
+        group.add(mesh);
+        group.userData.ownsResources = !asset; // Model clones share geometry/materials with the cache
+        group.userData.def = def; // Pickup definition the mesh was built from
+        return group;
+    }
+
+    /**
+     * Park a drop's Group for reuse (disposed once the type's pool is full, or if it was built
+     * from a pickup definition that has since been reloaded)
+     */
+    releaseGroup(type, group) {
+        let pool = this.pools.get(type);
+        if (!pool) {
+            pool = [];
+            this.pools.set(type, pool);
+        }
 
-            // Ensure mesh is centered in group
-            mesh.position.set(0, 0, 0);
-
-            // Wrapper Group for consistent rotation/floating
-            const group = new THREE.Group();
-            group.position.copy(position);
-            group.position.y += 0.5;
-            group.add(mesh);
-
-            this.game.scene.add(group);
-
-            // Add to physics list
-            this.drops.push({
-                group: group, // Rotate the group
-                mesh: mesh,
-                type: type,
-                spawnTime: Date.now(),
-                startY: group.position.y,
-                active: true
-            });
-
-            // Effect
-            // if (this.game.audioManager) this.game.audioManager.playLootSpawn();
+        if (pool.length < this.game.gameData.loot.poolSize && group.userData.def === this.game.gameData.pickups[type]) {
+            pool.push(group);
+            return;
+        }
+
+        this.disposeGroup(group);
+    }
+
+    disposeGroup(group) {
+        if (!group.userData.ownsResources) return;
+        group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
+    /**
+     * Drop every pooled Group - after a game data reload they may show an old model / primitive / color
+     */
+    clearPools() {
+        this.pools.forEach(pool => pool.forEach(group => this.disposeGroup(group)));
+        this.pools.clear();
+    }
+
+    createPrimitive(def) {
+        const material = new THREE.MeshStandardMaterial({ color: new THREE.Color(def.color) });
+
+        switch (def.primitive) {
+            case 'coin': {
+                const mesh = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 0.05, 16), material);
+                mesh.rotation.x = Math.PI / 2;
+                return mesh;
+            }
+            case 'cone':
+                return new THREE.Mesh(new THREE.ConeGeometry(0.3, 0.5, 16), material);
+            default:
+                return new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.4, 0.4), material);
         }
     }
 
     update(delta) {
         const playerPos = this.game.player.controls.object.position;
         const time = Date.now() * 0.001;
+        const settings = this.game.gameData.loot;
 
         for (let i = this.drops.length - 1; i >= 0; i--) {
             const drop = this.drops[i];
             if (!drop.active) continue;
 
+            // Despawn uncollected drops, blinking for the last blinkTime seconds
+            drop.age += delta;
+            if (drop.def.despawn > 0) {
+                const timeLeft = drop.def.despawn - drop.age;
+                if (timeLeft <= 0) {
+                    this.removeDrop(i);
+                    continue;
+                }
+                drop.group.visible = timeLeft > settings.blinkTime || Math.floor(timeLeft * settings.blinkRate * 2) % 2 === 0;
+            }
+
+            // Magnet: slide toward the player once inside magnetRadius (XZ only, the bob keeps going)
+            if (drop.def.magnetRadius > 0) {
+                const dx = playerPos.x - drop.group.position.x;
+                const dz = playerPos.z - drop.group.position.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                if (distance < drop.def.magnetRadius && distance > 0.01) {
+                    const step = Math.min(distance, settings.magnetSpeed * delta);
+                    drop.group.position.x += (dx / distance) * step;
+                    drop.group.position.z += (dz / distance) * step;
+                }
+            }
+
             // Animate: Rotate and Bob
             drop.group.rotation.y += this.rotateSpeed * delta;
             drop.group.position.y = drop.startY + Math.sin(time * this.floatSpeed) * 0.2;
 
             // Check Pickup Collision
             const dist = drop.group.position.distanceTo(playerPos);
-            if (dist < this.pickupRadius) {
+            if (dist < drop.def.pickupRadius) {
                 this.collectLoot(drop, i);
             }
         }
     }
 
+    reset() {
+        for (let i = this.drops.length - 1; i >= 0; i--) this.removeDrop(i);
+        this.pityCounters.clear();
+    }
+
     collectLoot(drop, index) {
+        if (this.game.particleSystem) {
+            this.game.particleSystem.emit('pickupSparkle', drop.group.position, { color: drop.def.color });
+        }
+        const position = drop.group.position.clone(); // The Group goes back to the pool
+        this.removeDrop(index);
+
+        // Give to player
+        this.game.player.collectLoot(drop.type, position);
+    }
+
+    removeDrop(index) {
+        const drop = this.drops[index];
         drop.active = false;
 
-        // Remove visual
+        // Remove visual (kept for the next drop of this type)
         this.game.scene.remove(drop.group);
+        this.releaseGroup(drop.type, drop.group);
 
         // Remove from list
         this.drops.splice(index, 1);
-
-        // Give to player
-        this.game.player.collectLoot(drop.type);
     }
 }
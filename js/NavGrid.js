@@ -0,0 +1,329 @@
+import * as THREE from 'three';
+
+// 8-connected neighbourhood: [dx, dz, cost]
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+/**
+ * Binary min-heap of cell indices ordered by an external score array
+ */
+class CellHeap {
+    constructor(scores) {
+        this.scores = scores;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    clear() {
+        this.items.length = 0;
+    }
+
+    push(cell) {
+        const items = this.items;
+        items.push(cell);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.scores[items[parent]] <= this.scores[items[i]]) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.scores[items[left]] < this.scores[items[smallest]]) smallest = left;
+                if (right < items.length && this.scores[items[right]] < this.scores[items[smallest]]) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * NavGrid class - walkability grid baked from World.collidables, with A* path queries
+ * and line-of-sight path smoothing. Covers a square area centred on the origin.
+ */
+export class NavGrid {
+    constructor({ size = 200, cellSize = 1, agentRadius = 0.5 } = {}) {
+        this.cellSize = cellSize;
+        this.agentRadius = agentRadius;
+        this.cells = Math.ceil(size / cellSize);
+        this.origin = -(this.cells * cellSize) / 2; // World x/z of the grid's min corner
+        this.maxIterations = 20000; // Give up on searches that explore too much of the map
+
+        const count = this.cells * this.cells;
+        this.blocked = new Uint8Array(count);
+        this.gScore = new Float32Array(count);
+        this.fScore = new Float32Array(count);
+        this.cameFrom = new Int32Array(count);
+        this.visited = new Uint32Array(count); // Search stamp per cell (avoids clearing between searches)
+        this.closed = new Uint32Array(count);
+        this.searchId = 0;
+        this.open = new CellHeap(this.fScore);
+
+        this.ready = false;
+    }
+
+    /**
+     * Rasterise obstacle bounds (inflated by the agent radius) into the grid
+     */
+    build(collidables) {
+        this.blocked.fill(0);
+
+        const box = new THREE.Box3();
+        let obstacleCount = 0;
+
+        for (const obstacle of collidables) {
+            if (!obstacle.name.startsWith('obstacle_')) continue;
+
+            box.setFromObject(obstacle);
+
+            // Ignore kerb-height clutter and anything an enemy fits underneath
+            if (box.max.y < 0.3 || box.min.y > 2.0) continue;
+
+            this.blockBox(box);
+            obstacleCount++;
+        }
+
+        this.ready = true;
+        console.log(`NavGrid baked: ${this.cells}x${this.cells} cells, ${obstacleCount} obstacles`);
+    }
+
+    blockBox(box) {
+        const r = this.agentRadius;
+        const min = this.worldToCell(box.min.x - r, box.min.z - r);
+        const max = this.worldToCell(box.max.x + r, box.max.z + r);
+
+        for (let cz = Math.max(0, min.cz); cz <= Math.min(this.cells - 1, max.cz); cz++) {
+            for (let cx = Math.max(0, min.cx); cx <= Math.min(this.cells - 1, max.cx); cx++) {
+                this.blocked[cz * this.cells + cx] = 1;
+            }
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // CELL HELPERS
+    // ═══════════════════════════════════════════════════════════
+
+    worldToCell(x, z) {
+        return {
+            cx: Math.floor((x - this.origin) / this.cellSize),
+            cz: Math.floor((z - this.origin) / this.cellSize)
+        };
+    }
+
+    cellToWorld(cx, cz, target = new THREE.Vector3()) {
+        return target.set(
+            this.origin + (cx + 0.5) * this.cellSize,
+            0,
+            this.origin + (cz + 0.5) * this.cellSize
+        );
+    }
+
+    inBounds(cx, cz) {
+        return cx >= 0 && cz >= 0 && cx < this.cells && cz < this.cells;
+    }
+
+    isWalkable(cx, cz) {
+        return this.inBounds(cx, cz) && this.blocked[cz * this.cells + cx] === 0;
+    }
+
+    isWalkableAt(position) {
+        const { cx, cz } = this.worldToCell(position.x, position.z);
+        return this.isWalkable(cx, cz);
+    }
+
+    /**
+     * Closest walkable cell to (cx, cz) within maxRadius rings, or null
+     */
+    findNearestWalkable(cx, cz, maxRadius = 6) {
+        if (this.isWalkable(cx, cz)) return { cx, cz };
+
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.abs(dx) !== radius && Math.abs(dz) !== radius) continue; // Ring only
+                    if (this.isWalkable(cx + dx, cz + dz)) return { cx: cx + dx, cz: cz + dz };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Random walkable point within radius of center (null if none found after a few tries)
+     */
+    randomWalkablePointNear(center, radius, attempts = 10) {
+        for (let i = 0; i < attempts; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.random() * radius;
+            const point = new THREE.Vector3(
+                center.x + Math.cos(angle) * distance,
+                0,
+                center.z + Math.sin(angle) * distance
+            );
+            if (this.isWalkableAt(point)) return point;
+        }
+        return null;
+    }
+
+    /**
+     * Grid line-of-sight (supercover walk) between two world positions
+     */
+    hasLineOfSight(from, to) {
+        let { cx, cz } = this.worldToCell(from.x, from.z);
+        const end = this.worldToCell(to.x, to.z);
+
+        const dx = Math.abs(end.cx - cx);
+        const dz = Math.abs(end.cz - cz);
+        const stepX = end.cx > cx ? 1 : -1;
+        const stepZ = end.cz > cz ? 1 : -1;
+        let error = dx - dz;
+
+        for (let n = dx + dz; n > 0; n--) {
+            if (!this.isWalkable(cx, cz)) return false;
+
+            const e2 = error * 2;
+            if (e2 > -dz) {
+                error -= dz;
+                cx += stepX;
+            } else {
+                error += dx;
+                cz += stepZ;
+            }
+        }
+        return this.isWalkable(cx, cz);
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // PATHFINDING
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * A* from start to goal (world positions). Returns smoothed world waypoints
+     * (excluding the start, ending at the goal) or null if there is no route.
+     */
+    findPath(start, goal) {
+        if (!this.ready) return null;
+
+        const startCell = this.worldToCell(start.x, start.z);
+        const goalCell = this.worldToCell(goal.x, goal.z);
+        const from = this.findNearestWalkable(startCell.cx, startCell.cz);
+        const to = this.findNearestWalkable(goalCell.cx, goalCell.cz);
+        if (!from || !to) return null;
+
+        const cells = this.cells;
+        const startIndex = from.cz * cells + from.cx;
+        const goalIndex = to.cz * cells + to.cx;
+
+        const id = ++this.searchId;
+        const heuristic = (index) => {
+            const hx = Math.abs((index % cells) - to.cx);
+            const hz = Math.abs(Math.floor(index / cells) - to.cz);
+            return Math.max(hx, hz) + (Math.SQRT2 - 1) * Math.min(hx, hz); // Octile distance
+        };
+
+        this.open.clear();
+        this.gScore[startIndex] = 0;
+        this.fScore[startIndex] = heuristic(startIndex);
+        this.cameFrom[startIndex] = -1;
+        this.visited[startIndex] = id;
+        this.open.push(startIndex);
+
+        let iterations = 0;
+        let found = false;
+
+        while (this.open.size > 0 && iterations++ < this.maxIterations) {
+            const current = this.open.pop();
+            if (current === goalIndex) {
+                found = true;
+                break;
+            }
+            if (this.closed[current] === id) continue;
+            this.closed[current] = id;
+
+            const cx = current % cells;
+            const cz = Math.floor(current / cells);
+
+            for (const [dx, dz, cost] of NEIGHBOURS) {
+                const nx = cx + dx;
+                const nz = cz + dz;
+                if (!this.isWalkable(nx, nz)) continue;
+
+                // No corner cutting on diagonals
+                if (dx !== 0 && dz !== 0 && (!this.isWalkable(cx + dx, cz) || !this.isWalkable(cx, cz + dz))) continue;
+
+                const neighbour = nz * cells + nx;
+                if (this.closed[neighbour] === id) continue;
+
+                const g = this.gScore[current] + cost;
+                if (this.visited[neighbour] === id && g >= this.gScore[neighbour]) continue;
+
+                this.visited[neighbour] = id;
+                this.cameFrom[neighbour] = current;
+                this.gScore[neighbour] = g;
+                this.fScore[neighbour] = g + heuristic(neighbour);
+                this.open.push(neighbour);
+            }
+        }
+
+        if (!found) return null;
+
+        // Walk back from the goal
+        const points = [];
+        for (let index = goalIndex; index !== -1; index = this.cameFrom[index]) {
+            points.push(this.cellToWorld(index % cells, Math.floor(index / cells)));
+        }
+        points.reverse();
+
+        // Finish on the exact goal when it is reachable in a straight line from the last cell
+        const last = points[points.length - 1];
+        if (this.isWalkableAt(goal) && this.hasLineOfSight(last, goal)) {
+            points[points.length - 1] = new THREE.Vector3(goal.x, 0, goal.z);
+        }
+
+        return this.smoothPath(start, points);
+    }
+
+    /**
+     * String-pulling: drop every waypoint that can be skipped in a straight line
+     */
+    smoothPath(start, points) {
+        const smoothed = [];
+        let anchor = new THREE.Vector3(start.x, 0, start.z);
+        let i = 0;
+
+        while (i < points.length) {
+            let furthest = i;
+            for (let j = points.length - 1; j > i; j--) {
+                if (this.hasLineOfSight(anchor, points[j])) {
+                    furthest = j;
+                    break;
+                }
+            }
+            smoothed.push(points[furthest]);
+            anchor = points[furthest];
+            i = furthest + 1;
+        }
+
+        return smoothed;
+    }
+}
@@ -1,92 +1,207 @@
 import * as THREE from 'three';
 
-export class ParticleSystem {
-    constructor(game) {
-        this.game = game;
-        this.particles = [];
-        this.maxParticles = 500;
-
-        // Material for blood
-        this.bloodMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-        this.bloodGeometry = new THREE.BoxGeometry(0.1, 0.1, 0.1);
-    }
-
-    init() {
-        console.log('ParticleSystem initialized');
+/**
+ * Effect presets for ParticleSystem.emit(). Ranges are [min, max]; colors are picked at random.
+ * direction-driven effects (muzzle, impacts) shoot within `spread` of the given direction,
+ * the rest burst outward with an upward bias. glow = additive batch, fades by darkening.
+ */
+export const PARTICLE_PRESETS = {
+    muzzleFlash: { count: 6, colors: [0xffdd88, 0xffaa33], size: [0.05, 0.12], speed: [2, 5], spread: 0.35, life: [0.04, 0.09], gravity: 0, glow: true },
+
+    // Bullet impacts per surface (World.getSurface)
+    impactConcrete: { count: 8, colors: [0xffaa44, 0xbbbbbb], size: [0.03, 0.06], speed: [3, 7], spread: 0.8, life: [0.2, 0.45], gravity: 9.8, glow: true },
+    impactMetal: { count: 12, colors: [0xffee88, 0xffffff], size: [0.02, 0.05], speed: [4, 9], spread: 0.7, life: [0.15, 0.4], gravity: 9.8, glow: true },
+    impactGround: { count: 8, colors: [0x5a4a3a, 0x3d3328], size: [0.05, 0.1], speed: [2, 4], spread: 0.6, life: [0.4, 0.8], gravity: 9.8 },
+    impactWood: { count: 6, colors: [0x8b6b4a, 0xc19a6b], size: [0.04, 0.08], speed: [2, 5], spread: 0.7, life: [0.3, 0.6], gravity: 9.8 },
+
+    // Enemy hits / deaths (enemies.<type>.deathEffect; hits emit a fraction of the count)
+    blood: { count: 10, colors: [0xaa0000, 0x770000], size: [0.1, 0.2], speed: [3, 6], life: [1, 2], gravity: 9.8, bounce: 0.5 },
+    oil: { count: 18, colors: [0x111111, 0x2a2a33, 0x00ffff], size: [0.08, 0.2], speed: [3, 6], life: [1, 2], gravity: 9.8, bounce: 0.3 },
+    ectoplasm: { count: 20, colors: [0x88ffcc, 0xaaddff], size: [0.08, 0.16], speed: [1, 3], life: [1, 1.6], gravity: -1.5, drag: 1.5, glow: true },
+    gore: { count: 14, colors: [0x4a5a2f, 0x6b2a1a], size: [0.1, 0.2], speed: [2, 5], life: [1, 2], gravity: 9.8, bounce: 0.4 },
+    embers: { count: 20, colors: [0xff5500, 0xffaa00], size: [0.05, 0.12], speed: [2, 5], life: [0.6, 1.2], gravity: -2, drag: 1, glow: true },
+
+    pickupSparkle: { count: 12, colors: [0xffffff], size: [0.04, 0.08], speed: [1, 2.5], life: [0.5, 0.9], gravity: -1, drag: 1, glow: true }
+};
+
+const SURFACE_IMPACTS = {
+    concrete: 'impactConcrete',
+    metal: 'impactMetal',
+    ground: 'impactGround',
+    wood: 'impactWood'
+};
+
+/**
+ * One InstancedMesh drawing up to `capacity` particles. Particle objects are pooled;
+ * dead ones swap out of the active range so the draw count stays contiguous.
+ */
+class ParticleBatch {
+    constructor(scene, capacity, material) {
+        this.capacity = capacity;
+        this.particles = [];   // Active, index = instance slot
+        this.free = [];        // Recycled particle objects
+        this.cursor = 0;       // Slot to overwrite when full
+
+        this.mesh = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), material, capacity);
+        this.mesh.count = 0;
+        this.mesh.frustumCulled = false; // Instances roam far from the geometry's bounds
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.setColorAt(0, new THREE.Color()); // Allocate instanceColor
+        scene.add(this.mesh);
+
+        this.matrix = new THREE.Matrix4();
+        this.color = new THREE.Color();
     }
 
-    createParticle(position, color = 0xff0000, size = 0.1, speed = 1.0, life = 1.0) {
-        if (this.particles.length >= this.maxParticles) {
-            // Remove oldest
-            const old = this.particles.shift();
-            this.game.scene.remove(old.mesh);
-        }
-
-        const mesh = new THREE.Mesh(this.bloodGeometry, this.bloodMaterial); // Clone if different materials needed
-        mesh.position.copy(position);
-        mesh.scale.setScalar(size);
-
-        // Random velocity
-        const velocity = new THREE.Vector3(
-            (Math.random() - 0.5) * speed,
-            Math.random() * speed, // Upward bias
-            (Math.random() - 0.5) * speed
-        );
-
-        this.game.scene.add(mesh);
-
-        this.particles.push({
-            mesh: mesh,
-            velocity: velocity,
-            life: life,
-            maxLife: life
-        });
-    }
-
-    spawnBlood(position, count = 10, explosive = false) {
-        // Radius/Spread comes from speed
-        const speed = explosive ? 8.0 : 6.0; // Much faster spread
-        const size = explosive ? 0.3 : 0.2;  // Bigger chunks
-
-        for (let i = 0; i < count; i++) {
-            // Add initial radius (jitter) so they don't spawn from a single point
-            const jitter = new THREE.Vector3(
-                (Math.random() - 0.5) * 0.5,
-                (Math.random() - 0.5) * 0.5,
-                (Math.random() - 0.5) * 0.5
-            );
-
-            this.createParticle(position.clone().add(jitter), 0xff0000, size, speed, 1.0 + Math.random());
+    add() {
+        let particle;
+        if (this.particles.length < this.capacity) {
+            particle = this.free.pop() || { position: new THREE.Vector3(), velocity: new THREE.Vector3(), color: new THREE.Color() };
+            this.particles.push(particle);
+        } else {
+            // Full: recycle a slot (roughly the oldest)
+            particle = this.particles[this.cursor];
+            this.cursor = (this.cursor + 1) % this.capacity;
         }
+        return particle;
     }
 
-    update(delta) {
+    update(delta, glow) {
         for (let i = this.particles.length - 1; i >= 0; i--) {
             const p = this.particles[i];
 
             p.life -= delta;
+            if (p.life <= 0) {
+                // Swap-remove keeps the instance range packed
+                const last = this.particles.pop();
+                if (i < this.particles.length) this.particles[i] = last;
+                this.free.push(p);
+                continue;
+            }
 
             // Physics
-            p.velocity.y -= 9.8 * delta; // Gravity
-            p.mesh.position.addScaledVector(p.velocity, delta);
+            p.velocity.y -= p.gravity * delta;
+            if (p.drag > 0) p.velocity.multiplyScalar(Math.max(0, 1 - p.drag * delta));
+            p.position.addScaledVector(p.velocity, delta);
 
             // Floor collision
-            if (p.mesh.position.y < 0.05) {
-                p.mesh.position.y = 0.05;
-                p.velocity.y *= -0.5; // Bounce
+            if (p.position.y < 0.05 && p.velocity.y < 0) {
+                p.position.y = 0.05;
+                p.velocity.y *= -p.bounce;
                 p.velocity.x *= 0.5; // Friction
                 p.velocity.z *= 0.5;
             }
+        }
 
-            // Shrink on death
-            if (p.life < 0.2) {
-                p.mesh.scale.setScalar(p.life * 5 * 0.1);
-            }
+        for (let i = 0; i < this.particles.length; i++) {
+            const p = this.particles[i];
+            const fade = Math.min(1, p.life / (p.maxLife * 0.3)); // Last 30% of life shrinks / dims
 
-            if (p.life <= 0) {
-                this.game.scene.remove(p.mesh);
-                this.particles.splice(i, 1);
+            const size = p.size * (glow ? 1 : fade);
+            this.matrix.makeScale(size, size, size).setPosition(p.position);
+            this.mesh.setMatrixAt(i, this.matrix);
+
+            this.color.copy(p.color);
+            if (glow) this.color.multiplyScalar(fade); // Additive: darker = more transparent
+            this.mesh.setColorAt(i, this.color);
+        }
+
+        this.mesh.count = this.particles.length;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    clear() {
+        this.free.push(...this.particles);
+        this.particles = [];
+        this.mesh.count = 0;
+    }
+}
+
+/**
+ * ParticleSystem class - pooled, instanced particle effects (muzzle flashes, impacts,
+ * death bursts, pickup sparkles). Updated every fixed step from Game.step().
+ */
+export class ParticleSystem {
+    constructor(game) {
+        this.game = game;
+        this.maxParticles = 500; // Per batch
+        this.solid = null;
+        this.glow = null;
+
+        // Scratch
+        this.offset = new THREE.Vector3();
+    }
+
+    init() {
+        this.solid = new ParticleBatch(this.game.scene, this.maxParticles, new THREE.MeshBasicMaterial());
+        this.glow = new ParticleBatch(this.game.scene, this.maxParticles, new THREE.MeshBasicMaterial({
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            transparent: true
+        }));
+        console.log('ParticleSystem initialized');
+    }
+
+    /**
+     * Spawn a preset burst. options: direction (unit vector for directional effects),
+     * color (overrides the preset colors), countScale (e.g. a fraction for hits)
+     */
+    emit(name, position, options = {}) {
+        const preset = PARTICLE_PRESETS[name];
+        if (!preset) {
+            console.warn(`Unknown particle preset "${name}"`);
+            return;
+        }
+
+        const batch = preset.glow ? this.glow : this.solid;
+        const count = Math.max(1, Math.round(preset.count * (options.countScale ?? 1)));
+        const range = ([min, max]) => min + Math.random() * (max - min);
+
+        for (let i = 0; i < count; i++) {
+            const p = batch.add();
+            const speed = range(preset.speed);
+
+            p.position.copy(position);
+            if (options.direction) {
+                // Cone around the direction
+                this.offset.randomDirection().multiplyScalar(preset.spread ?? 0.5);
+                p.velocity.copy(options.direction).add(this.offset).normalize().multiplyScalar(speed);
+            } else {
+                // Outward burst with an upward bias; start from a small radius, not a point
+                this.offset.randomDirection().multiplyScalar(0.25);
+                p.position.add(this.offset);
+                p.velocity.set(Math.random() - 0.5, Math.random(), Math.random() - 0.5).multiplyScalar(speed);
             }
+
+            p.color.set(options.color ?? preset.colors[Math.floor(Math.random() * preset.colors.length)]);
+            p.size = range(preset.size);
+            p.life = range(preset.life);
+            p.maxLife = p.life;
+            p.gravity = preset.gravity ?? 9.8;
+            p.drag = preset.drag ?? 0;
+            p.bounce = preset.bounce ?? 0.2;
         }
     }
+
+    /**
+     * Bullet impact sparks / debris for a World.getSurface() surface
+     */
+    emitImpact(surface, position, normal) {
+        this.emit(SURFACE_IMPACTS[surface] || SURFACE_IMPACTS.concrete, position, { direction: normal });
+    }
+
+    spawnBlood(position, count = 10) {
+        this.emit('blood', position, { countScale: count / PARTICLE_PRESETS.blood.count });
+    }
+
+    update(delta) {
+        this.solid.update(delta, false);
+        this.glow.update(delta, true);
+    }
+
+    reset() {
+        this.solid.clear();
+        this.glow.clear();
+    }
 }
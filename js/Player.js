@@ -1,5 +1,12 @@
 import * as THREE from 'three';
 import { PointerLockControls } from './PointerLockControls.js';
+import { StatusEffects } from './StatusEffects.js';
+import { EditorHistory } from './editor/EditorHistory.js';
+import { AssetPalette } from './editor/AssetPalette.js';
+import { EditorGizmo } from './editor/EditorGizmo.js';
+import { TransformInspector } from './editor/TransformInspector.js';
+import { EditorSelection } from './editor/EditorSelection.js';
+import { MarqueeSelect } from './editor/MarqueeSelect.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
 /**
@@ -22,14 +29,18 @@ export class Player {
         this.maxJumps = 2; // Double jump!
 
         // Player stats
+        this.maxHealth = 100;
         this.health = 100;
         this.armor = 0;
         this.money = 0;
         this.ammo = 30;
         this.maxAmmo = 30;
+        this.isDead = false;
+        this.statusEffects = new StatusEffects(game, this); // Pickup buffs, enemy burn/slow/poison
 
         // Physics constants
-        this.moveSpeed = 10;
+        this.baseMoveSpeed = 10;
+        this.moveSpeed = this.baseMoveSpeed * game.gameData.tuning.playerSpeed;
         this.jumpForce = 8;
         this.gravity = 25;
         this.playerHeight = 1.7;
@@ -44,13 +55,23 @@ export class Player {
 
         // DOM
         this.healthDisplay = document.getElementById('health');
+        this.statusDisplay = document.getElementById('status-effects');
+        this.statusDisplayKey = '';
         this.ammoDisplay = document.getElementById('ammo');
 
         // Level Editor
         this.editMode = false;
-        this.selectedObject = null;
-        this.editorStep = 1.0; // Movement step size
-        this.editorRotateStep = Math.PI / 4; // 45 degrees
+        this.selectedObject = null; // What is being carried: the selected object, or the pivot of a multi-selection
+        this.dragStart = null; // Selection snapshot when picked up (recorded as one Move on drop)
+        this.editorSelection = new EditorSelection(game);
+        this.marqueeSelect = new MarqueeSelect(game);
+        this.editorHistory = new EditorHistory(game);
+        this.assetPalette = new AssetPalette(game);
+        this.editorGizmo = new EditorGizmo(game);
+        this.transformInspector = new TransformInspector(game);
+        this.editorStep = 1.0; // Grid snap (m) for carrying, the gizmo and PgUp/PgDn; 0 = free
+        this.editorRotateStep = Math.PI / 4; // Angle snap (45 degrees), also the Q/E step; 0 = free
+        this.carryY = 0; // Unsnapped height of a carried object (Shift+Mouse moves it)
         this.lastActionTime = 0;
 
         // Vehicle System
@@ -59,43 +80,8 @@ export class Player {
         this.vehicleSpeed = 0;
         this.vehicleSteering = 0;
 
-        // Weapon system
-        this.weapons = [
-            {
-                name: 'Pistol',
-                model: null,
-                path: 'assets/Pistol.glb',
-                scale: 0.12,
-                position: { x: 0.25, y: -0.2, z: -0.4 },
-                rotation: { x: 0, y: Math.PI / 2, z: 0 }, // Rotate to face forward
-                damage: 20,
-                fireRate: 0.3,
-                ammo: 12,
-                maxAmmo: 12,
-                recoil: 0.1,
-                cameraRecoil: 0.0,
-                reloadTime: 1.5,
-                automatic: false,
-                muzzleOffset: { x: 0, y: 0.8, z: -2.5 }
-            },
-            {
-                name: 'Assault Rifle',
-                model: null,
-                path: 'assets/AssaultRifle.glb',
-                scale: 0.15,
-                position: { x: 0.3, y: -0.25, z: -0.5 },
-                rotation: { x: 0, y: 0, z: 0 },
-                damage: 25,
-                fireRate: 0.12,
-                ammo: 30,
-                maxAmmo: 30,
-                recoil: 0.25,
-                cameraRecoil: 0.005,
-                reloadTime: 2.5,
-                automatic: true,
-                muzzleOffset: { x: 0, y: 0.6, z: -4.5 }
-            }
-        ];
+        // Weapon system (definitions come from data/game.json)
+        this.weapons = game.gameData.weapons.map(def => this.createWeapon(def));
         this.currentWeapon = 0;
         this.weaponRecoil = 0;
     }
@@ -117,8 +103,8 @@ export class Player {
 
         this.controls.addEventListener('unlock', () => {
             this.isFiring = false;
-            // Don't pause if we are in Editor Mode and holding an object
-            if (this.editMode && this.selectedObject) {
+            // Don't pause if we are in Editor Mode and holding an object, browsing assets or marquee selecting
+            if (this.editMode && (this.selectedObject || this.assetPalette.isOpen || this.marqueeSelect.isActive)) {
                 return;
             }
             this.game.pause();
@@ -141,10 +127,63 @@ export class Player {
         document.addEventListener('contextmenu', (e) => e.preventDefault()); // Disable context menu for right click
 
         // Set initial position (clear spot on road)
-        this.controls.object.position.set(62, this.playerHeight, 30);
+        this.spawnPosition = new THREE.Vector3(62, this.playerHeight, 30);
+        this.controls.object.position.copy(this.spawnPosition);
 
         // Load all weapons
         this.loadWeapons();
+
+        this.assetPalette.init();
+        this.editorGizmo.init();
+        this.transformInspector.init();
+        this.marqueeSelect.init();
+    }
+
+    /**
+     * Build the runtime weapon state from a validated data definition
+     */
+    createWeapon(def) {
+        return {
+            ...structuredClone(def),
+            model: null,
+            ammo: def.magazine,
+            maxAmmo: def.magazine,
+            reserve: def.reserve,
+            maxReserve: def.reserve,
+            unlocked: !def.locked
+        };
+    }
+
+    /**
+     * Overwrite a runtime weapon's stats with its data definition (drops shop upgrades, keeps the model)
+     */
+    applyWeaponStats(weapon, def) {
+        const { name, path, scale, position, rotation, locked, magazine, reserve, ...stats } = structuredClone(def);
+        Object.assign(weapon, stats);
+        weapon.maxAmmo = magazine;
+        weapon.ammo = Math.min(weapon.ammo, magazine);
+        weapon.maxReserve = reserve;
+        weapon.reserve = Math.min(weapon.reserve, reserve);
+    }
+
+    /**
+     * Re-apply data/game.json values after a hot reload (models and ammo in the magazine are kept)
+     */
+    applyGameData(gameData) {
+        this.moveSpeed = this.baseMoveSpeed * gameData.tuning.playerSpeed;
+
+        gameData.weapons.forEach(def => {
+            const weapon = this.weapons.find(w => w.name === def.name);
+            if (weapon) this.applyWeaponStats(weapon, def);
+        });
+
+        const weapon = this.getCurrentWeapon();
+        if (weapon) {
+            this.ammo = Math.min(this.ammo, weapon.maxAmmo);
+            this.maxAmmo = weapon.maxAmmo;
+            this.shootRate = weapon.fireRate;
+        }
+        this.updateHUD();
     }
 
     loadWeapons() {
@@ -210,6 +249,12 @@ export class Player {
         if (index < 0 || index >= this.weapons.length) return;
         if (index === this.currentWeapon) return;
 
+        if (!this.weapons[index].unlocked) {
+            console.log(`${this.weapons[index].name} is locked - buy it in the shop`);
+            if (this.game.audioManager) this.game.audioManager.playEmptyGun();
+            return;
+        }
+
         // Hide current weapon
         if (this.weapons[this.currentWeapon].model) {
             this.weapons[this.currentWeapon].model.visible = false;
@@ -244,6 +289,21 @@ export class Player {
     }
 
     onKeyDown(event) {
+        if (this.isDead) return;
+        if (event.target.tagName === 'INPUT') return; // Typing in an editor panel (asset search)
+
+        // Gizmo mode: 1 / 2 / 3 pick move / rotate / scale handles instead of weapons
+        if (this.editorGizmo.isActive && event.code.startsWith('Digit')) {
+            this.editorGizmo.setMode(EditorGizmo.MODES[Number(event.code.slice(5)) - 1]);
+            return;
+        }
+
+        // Number keys select weapons in definition order (Digit1 = first, Digit0 = tenth)
+        if (event.code.startsWith('Digit')) {
+            const digit = Number(event.code.slice(5));
+            this.switchWeapon(digit === 0 ? 9 : digit - 1);
+        }
+
         switch (event.code) {
             case 'KeyW':
             case 'ArrowUp':
@@ -258,6 +318,12 @@ export class Player {
                 this.moveLeft = true;
                 break;
             case 'KeyD':
+                if (this.editMode && event.ctrlKey) { // Duplicate the selection
+                    event.preventDefault();
+                    this.duplicateSelection();
+                    break;
+                }
+            // falls through
             case 'ArrowRight':
                 this.moveRight = true;
                 break;
@@ -270,13 +336,12 @@ export class Player {
                     if (this.game.audioManager) this.game.audioManager.playJump();
                 }
                 break;
-            case 'Digit1':
-                this.switchWeapon(0); // Pistol
-                break;
-            case 'Digit2':
-                this.switchWeapon(1); // Assault Rifle
-                break;
             case 'KeyG':
+                if (this.editMode && event.ctrlKey) { // Group the selection (Ctrl+Shift+G: ungroup)
+                    event.preventDefault();
+                    this.groupSelection(event.shiftKey ? null : this.game.world.uniqueGroupName('group'));
+                    break;
+                }
                 this.ghostMode = !this.ghostMode;
                 console.log('Ghost mode:', this.ghostMode ? 'ON (no collision)' : 'OFF');
                 break;
@@ -295,32 +360,11 @@ export class Player {
                 break;
             case 'KeyP': // Download World JSON
                 if (this.game.world.loadedWorldData) {
-                    const exportData = { buildings: [], vehicles: [], props: [] };
-
-                    this.game.scene.children.forEach(obj => {
-                        if (obj.userData && obj.userData.modelName) {
-                            const item = {
-                                model: obj.userData.modelName,
-                                x: parseFloat(obj.position.x.toFixed(2)),
-                                y: parseFloat(obj.position.y.toFixed(2)),
-                                z: parseFloat(obj.position.z.toFixed(2)),
-                                scale: parseFloat(obj.scale.x.toFixed(2)),
-                                rotY: parseFloat(obj.rotation.y.toFixed(4))
-                            };
-
-                            // Categorize (heuristic)
-                            if (item.model.includes('Building') || item.model.includes('Corner')) {
-                                item.collidable = true;
-                                exportData.buildings.push(item);
-                            } else if (['Car', 'Bus', 'Truck', 'Van', 'SUV', 'Motorcycle', 'Police'].some(s => item.model.includes(s))) {
-                                item.collidable = true;
-                                exportData.vehicles.push(item);
-                            } else {
-                                item.collidable = false;
-                                exportData.props.push(item);
-                            }
-                        }
-                    });
+                    // A carried multi-selection sits in its pivot; put it back in the scene first
+                    if (this.editorSelection.pivot) this.releaseSelection();
+
+                    // Original entries plus edits; loot templates and other runtime objects are left out
+                    const exportData = this.game.world.exportWorldData();
 
                     // Trigger Download
                     const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(exportData, null, 4));
@@ -343,25 +387,70 @@ export class Player {
                 }
                 break;
             case 'Delete':
-                if (this.editMode && this.selectedObject) {
-                    this.deleteSelectedObject();
+                if (this.editMode && this.editorSelection.size) {
+                    this.deleteSelection();
+                }
+                break;
+            case 'KeyB': // Save the selection as a prefab (placed from the asset palette)
+                if (this.editMode && event.ctrlKey) {
+                    event.preventDefault();
+                    this.savePrefab();
+                }
+                break;
+            case 'KeyM': // Marquee selection (frees the cursor); again or Esc to go back
+                if (this.editMode && !this.selectedObject) this.marqueeSelect.toggle();
+                break;
+            case 'Escape':
+                this.marqueeSelect.stop();
+                break;
+            case 'KeyZ': // Undo (Ctrl+Shift+Z: redo)
+                if (this.editMode && event.ctrlKey) {
+                    event.preventDefault();
+                    if (event.shiftKey) this.redoEdit();
+                    else this.undoEdit();
+                }
+                break;
+            case 'KeyY': // Redo
+                if (this.editMode && event.ctrlKey) {
+                    event.preventDefault();
+                    this.redoEdit();
+                }
+                break;
+            case 'KeyF': // Gizmo on the selection (frees the cursor); again to drop
+                if (this.editMode && this.selectedObject) this.toggleGizmo();
+                break;
+            case 'KeyI': // Asset palette
+                if (this.editMode) this.assetPalette.toggle();
+                break;
+            case 'KeyN': // New spawn point (Shift: spawn zone) in front of the camera
+                if (this.editMode && !this.selectedObject) {
+                    this.placeSpawnMarker(event.shiftKey);
                 }
                 break;
         }
 
-        // Editor Controls (Rotation/Scaling only, Movement is Mouse-based)
+        // Editor Controls (Rotation/Scaling/Height; XZ movement is Mouse-based)
         if (this.editMode && this.selectedObject) {
-            const obj = this.selectedObject;
-
             // Rotation
-            if (event.code === 'KeyQ') obj.rotation.y += this.editorRotateStep;
-            if (event.code === 'KeyE') obj.rotation.y -= this.editorRotateStep;
+            if (event.code === 'KeyQ' || event.code === 'KeyE') {
+                const step = (this.editorRotateStep || Math.PI / 12) * (event.code === 'KeyQ' ? 1 : -1);
+                this.editSelection('Rotate', 'rotation', obj => { obj.rotation.y += step; });
+            }
 
             // Scaling
-            if (event.key === '+') obj.scale.multiplyScalar(1.1);
-            if (event.key === '-') obj.scale.multiplyScalar(0.9);
+            if (event.key === '+' || event.key === '-') {
+                this.editSelection('Scale', 'scale', obj => { obj.scale.multiplyScalar(event.key === '+' ? 1.1 : 0.9); });
+            }
 
-            this.updateEditorHUD();
+            // Height: one grid step (0.25 m when free), Home = back on the ground
+            if (event.code === 'PageUp' || event.code === 'PageDown') {
+                event.preventDefault();
+                const step = (this.editorStep || 0.25) * (event.code === 'PageUp' ? 1 : -1);
+                this.editSelection('Move', 'position', obj => { obj.position.y = this.snapToGrid(obj.position.y + step); });
+            }
+            if (event.code === 'Home') {
+                this.editSelection('Move', 'position', obj => { obj.position.y = 0; });
+            }
         }
     }
 
@@ -371,15 +460,15 @@ export class Player {
         const obj = this.selectedObject;
         const sensitivity = 0.05; // Movement speed
 
-        if (event.shiftKey) {
-            // Move Y (Vertical) - Shift + Mouse Y
-            obj.position.y -= event.movementY * sensitivity;
+        if (event.shiftKey && !this.editorGizmo.isActive) {
+            // Move Y (Vertical) - Shift + Mouse Y, snapped to the grid
+            this.carryY -= event.movementY * sensitivity;
+            obj.position.y = this.snapToGrid(this.carryY);
+            this.game.world.invalidateColliders(obj);
         }
         // Horizontal movement is now handled by updateHeldObject loop
 
         this.updateEditorHUD();
-
-        this.updateEditorHUD();
     }
 
     onKeyUp(event) {
@@ -404,7 +493,7 @@ export class Player {
     }
 
     onMouseDown(event) {
-        if (!this.game.isRunning) return;
+        if (!this.game.isRunning || this.isDead) return;
 
         if (event.button === 0) { // Left click - Always Shoot
             if (!this.editMode) {
@@ -415,7 +504,7 @@ export class Player {
 
         if (event.button === 2) { // Right click - Select Object in Editor
             if (this.editMode) {
-                this.selectObject(event.ctrlKey);
+                this.selectObject(event.ctrlKey, event.shiftKey, event.altKey);
             }
         }
     }
@@ -429,7 +518,9 @@ export class Player {
     reloadWeapon() {
         if (this.isReloading) return;
         const weapon = this.getCurrentWeapon();
+        if (!weapon) return;
         if (this.ammo === this.maxAmmo) return; // Full already
+        if (weapon.reserve <= 0) return; // Nothing left to load
 
         this.isReloading = true;
         this.reloadTimer = weapon.reloadTime || 1.5;
@@ -437,7 +528,7 @@ export class Player {
         console.log("Reloading...");
 
         if (this.game.audioManager) {
-            this.game.audioManager.playWeaponAction(weapon.name, 'reload');
+            this.game.audioManager.playWeaponAction(weapon, 'reload');
         }
     }
 
@@ -470,7 +561,7 @@ export class Player {
 
     finishReload() {
         this.isReloading = false;
-        this.ammo = this.maxAmmo;
+        this.loadMagazine();
         this.updateHUD();
         console.log("Reload Complete");
 
@@ -481,7 +572,35 @@ export class Player {
         }
     }
 
+    /**
+     * Move rounds from the equipped weapon's reserve into its magazine
+     */
+    loadMagazine() {
+        const weapon = this.getCurrentWeapon();
+        if (!weapon) return;
+
+        const rounds = Math.min(this.maxAmmo - this.ammo, weapon.reserve);
+        weapon.reserve -= rounds;
+        this.ammo += rounds;
+    }
+
+    /**
+     * Ammo pickups and the shop's Ammo Refill: top up the reserve of every unlocked weapon.
+     * Returns false when every reserve was full already.
+     */
+    refillAmmo() {
+        let refilled = false;
+        this.weapons.forEach(weapon => {
+            if (!weapon.unlocked || weapon.reserve >= weapon.maxReserve) return;
+            weapon.reserve = weapon.maxReserve;
+            refilled = true;
+        });
+        return refilled;
+    }
+
     shoot() {
+        const weapon = this.getCurrentWeapon();
+        if (!weapon) return;
         if (this.shootCooldown > 0) return;
         if (this.isReloading) return; // Block shooting while reloading
 
@@ -496,14 +615,12 @@ export class Player {
         this.ammo--;
         this.updateHUD();
 
-        // Play gunshot sound
         // Play gunshot sound
         if (this.game.audioManager) {
-            this.game.audioManager.playWeaponAction(this.getCurrentWeapon().name, 'shot');
+            this.game.audioManager.playWeaponAction(weapon, 'shot');
         }
 
         // Trigger weapon recoil
-        const weapon = this.getCurrentWeapon();
         this.weaponRecoil = weapon.recoil || 0.15;
 
         // Camera Recoil (Kick Up)
@@ -529,49 +646,76 @@ export class Player {
             // Check if we hit an enemy
             const enemy = this.game.enemyManager.getEnemyFromMesh(hit.object);
             if (enemy) {
-                enemy.takeDamage(25);
-                this.createHitEffect(hit.point, hit.face.normal, 0xff4444);
+                const zone = enemy.getHitZone(hit.object);
+                const damage = this.calculateDamage(weapon, hit.distance, zone);
+                enemy.takeDamage(damage, this.getZoneMultiplier(weapon, zone) > 1);
+                this.createHitEffect(hit, enemy);
                 if (this.game.audioManager) this.game.audioManager.playEnemyHit();
-                console.log('Hit enemy at distance:', hit.distance.toFixed(2));
+                console.log(`Hit enemy (${zone}) for ${damage} at distance:`, hit.distance.toFixed(2));
             } else {
-                this.createHitEffect(hit.point, hit.face.normal, 0xffaa00);
+                this.createHitEffect(hit);
                 if (this.game.audioManager) this.game.audioManager.playHit();
                 console.log('Hit:', hit.object.name || 'unnamed', 'at distance:', hit.distance.toFixed(2));
             }
         }
 
-        // Muzzle flash effect (simple for now)
+        // Muzzle flash effect
         this.createMuzzleFlash();
     }
 
-    createHitEffect(position, normal, color = 0xffaa00) {
-        // Simple hit marker - a small sphere that fades out
-        const geometry = new THREE.SphereGeometry(0.1, 8, 8);
-        const material = new THREE.MeshBasicMaterial({
-            color: color,
-            transparent: true,
-            opacity: 1
-        });
-        const hitMarker = new THREE.Mesh(geometry, material);
-        hitMarker.position.copy(position);
-        hitMarker.position.add(normal.multiplyScalar(0.01)); // Offset slightly
-        this.game.scene.add(hitMarker);
-
-        // Animate and remove
-        const startTime = Date.now();
-        const animate = () => {
-            const elapsed = (Date.now() - startTime) / 1000;
-            if (elapsed < 0.3) {
-                material.opacity = 1 - (elapsed / 0.3);
-                hitMarker.scale.setScalar(1 + elapsed * 2);
-                requestAnimationFrame(animate);
-            } else {
-                this.game.scene.remove(hitMarker);
-                geometry.dispose();
-                material.dispose();
+    /**
+     * Weapon damage scaled by distance falloff and the hit zone multiplier
+     */
+    calculateDamage(weapon, distance, zone) {
+        const zoneMultiplier = this.getZoneMultiplier(weapon, zone);
+        const statusMultiplier = this.statusEffects.getMultiplier('damage');
+        return Math.round(weapon.damage * this.getFalloffMultiplier(weapon, distance) * zoneMultiplier * statusMultiplier);
+    }
+
+    /**
+     * combat.hitZones overridden by the weapon's own; above 1 counts as a crit
+     */
+    getZoneMultiplier(weapon, zone) {
+        const zoneMultipliers = { ...this.game.gameData.combat.hitZones, ...weapon.hitZones };
+        return zoneMultipliers[zone] ?? 1;
+    }
+
+    /**
+     * Piecewise-linear lookup over weapon.falloff ([{ distance, multiplier }], sorted by distance)
+     */
+    getFalloffMultiplier(weapon, distance) {
+        const points = weapon.falloff;
+        if (!points || points.length === 0) return 1;
+        if (distance <= points[0].distance) return points[0].multiplier;
+
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            if (distance <= b.distance) {
+                const t = (distance - a.distance) / (b.distance - a.distance);
+                return a.multiplier + (b.multiplier - a.multiplier) * t;
             }
-        };
-        animate();
+        }
+        return points[points.length - 1].multiplier;
+    }
+
+    /**
+     * Impact particles at a raycast hit: the enemy's hit/death preset, else sparks for the surface
+     */
+    createHitEffect(hit, enemy = null) {
+        const particles = this.game.particleSystem;
+        if (!particles) return;
+
+        if (enemy) {
+            particles.emit(enemy.getDeathEffect(), hit.point, { countScale: 0.3 });
+            return;
+        }
+
+        // face.normal is in the object's local space
+        const normal = hit.face
+            ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+            : new THREE.Vector3(0, 1, 0);
+        particles.emitImpact(this.game.world.getSurface(hit.object), hit.point, normal);
     }
 
     onWheel(event) {
@@ -586,33 +730,17 @@ export class Player {
         const targetScale = obj.scale.x * multiplier;
         const newScale = Math.max(0.001, targetScale); // Prevent zero/negative
 
-        obj.scale.set(newScale, newScale, newScale);
-
-        this.updateEditorHUD();
+        this.editSelection('Scale', 'scale', () => { obj.scale.set(newScale, newScale, newScale); });
     }
 
     createMuzzleFlash() {
         const weapon = this.getCurrentWeapon();
         if (!weapon || !weapon.model) return;
 
-        // Create flash if it doesn't exist
+        // Create the flash light if it doesn't exist (the visual is a particle burst)
         if (!weapon.flash) {
             weapon.flash = new THREE.Group();
 
-            // 1. Visual Plane
-            const geometry = new THREE.PlaneGeometry(0.5, 0.5);
-            const material = new THREE.MeshBasicMaterial({
-                color: 0xffffaa,
-                transparent: true,
-                opacity: 0.9,
-                depthTest: false // Ensure it draws on top of gun
-            });
-            const mesh = new THREE.Mesh(geometry, material);
-            mesh.rotation.z = Math.random() * Math.PI;
-            weapon.flash.add(mesh);
-            weapon.flashMesh = mesh; // Ref for rotation
-
-            // 2. Light Source
             const light = new THREE.PointLight(0xffaa00, 5, 10); // Stronger light, range 10m
             weapon.flash.add(light);
 
@@ -629,11 +757,11 @@ export class Player {
         // Activate Flash
         weapon.flash.visible = true;
 
-        // Randomize rotation
-        if (weapon.flashMesh) {
-            weapon.flashMesh.rotation.z = Math.random() * Math.PI;
-            const scale = 0.8 + Math.random() * 0.4;
-            weapon.flashMesh.scale.set(scale, scale, 1);
+        // Sparks out of the muzzle along the view direction
+        if (this.game.particleSystem) {
+            const muzzle = weapon.flash.getWorldPosition(new THREE.Vector3());
+            const direction = this.game.camera.getWorldDirection(new THREE.Vector3());
+            this.game.particleSystem.emit('muzzleFlash', muzzle, { direction });
         }
 
         // Hide after short duration
@@ -643,7 +771,7 @@ export class Player {
     }
 
     update(delta) {
-        if (!this.controls.isLocked) return;
+        if (!this.controls.isLocked || this.isDead) return;
 
         // Camera Stabilization
         const cam = this.controls.object;
@@ -652,6 +780,10 @@ export class Player {
         // 2. Lock Roll (Prevent Tilt)
         if (Math.abs(cam.rotation.z) > 0.001) cam.rotation.z = 0;
 
+        this.statusEffects.update(delta);
+        this.updateStatusHUD();
+        if (this.isDead) return; // Killed by a damage tick
+
         // VEHICLE LOGIC
         if (this.isDriving && this.currentVehicle) {
             this.updateVehiclePhysics(delta);
@@ -665,13 +797,12 @@ export class Player {
         }
 
         // Auto-fire
-        if (this.isFiring && this.getCurrentWeapon().automatic) {
+        const currentWeapon = this.getCurrentWeapon();
+        if (this.isFiring && currentWeapon && currentWeapon.automatic) {
             this.shoot();
         }
 
         // Update weapon recoil animation
-        // Update weapon animation
-        const currentWeapon = this.getCurrentWeapon();
         if (currentWeapon && currentWeapon.model) {
             if (this.isReloading) {
                 this.updateReloadAnimation(delta);
@@ -697,13 +828,13 @@ export class Player {
 
         // Apply horizontal movement
         if (this.moveForward || this.moveBackward) {
-            this.velocity.z = -this.direction.z * this.moveSpeed;
+            this.velocity.z = -this.direction.z * this.moveSpeed * this.statusEffects.getMultiplier('speed');
         } else {
             this.velocity.z = 0;
         }
 
         if (this.moveLeft || this.moveRight) {
-            this.velocity.x = -this.direction.x * this.moveSpeed;
+            this.velocity.x = -this.direction.x * this.moveSpeed * this.statusEffects.getMultiplier('speed');
         } else {
             this.velocity.x = 0;
         }
@@ -833,8 +964,9 @@ export class Player {
         this.vehicleSteering = 0;
 
         // 1. Hide Player Weapon
-        if (this.weapons[this.currentWeapon].model) {
-            this.weapons[this.currentWeapon].model.visible = false;
+        const weapon = this.getCurrentWeapon();
+        if (weapon && weapon.model) {
+            weapon.model.visible = false;
         }
 
         // 2. Switch Camera to Third Person Follow
@@ -864,14 +996,18 @@ export class Player {
         this.controls.object.position.copy(carPos).add(offset);
         this.controls.object.position.y = this.playerHeight + 0.5; // Ensure above ground
 
+        // Bake where the car was parked (driving itself doesn't touch the NavGrid)
+        this.game.world.onLayoutChanged();
+
         // Reset state
         this.isDriving = false;
         this.currentVehicle = null;
         this.vehicleSpeed = 0;
 
         // Show Weapon
-        if (this.weapons[this.currentWeapon].model) {
-            this.weapons[this.currentWeapon].model.visible = true;
+        const weapon = this.getCurrentWeapon();
+        if (weapon && weapon.model) {
+            weapon.model.visible = true;
         }
 
         // Ensure velocity is reset
@@ -911,38 +1047,31 @@ export class Player {
             }
         }
 
-        // Apply movement
-        vehicle.translateZ(this.vehicleSpeed * delta);
+        // Apply movement (a parked car leaves the collision hash alone)
+        if (this.vehicleSpeed !== 0) {
+            vehicle.translateZ(this.vehicleSpeed * delta);
+            this.game.world.invalidateColliders(vehicle, false);
+        }
 
         // Environment Collision
         if (Math.abs(this.vehicleSpeed) > 0.1) {
             const vehicleBox = new THREE.Box3().setFromObject(vehicle);
-            const obstacles = this.game.world.collidables.filter(obj => {
-                if (obj.name === 'ground' || obj.name.startsWith('road') || obj.name.startsWith('orb')) return false;
+            const nearby = this.game.world.queryColliders(vehicleBox.min.x, vehicleBox.min.z, vehicleBox.max.x, vehicleBox.max.z);
 
+            for (const { object: obstacle, box: obstacleBox } of nearby) {
                 // Avoid self
-                let root = obj;
-                while (root.parent && root.parent.type !== 'Scene') {
-                    root = root.parent;
-                }
-                if (root === vehicle) return false;
+                let root = obstacle;
+                while (root.parent && root.parent.type !== 'Scene') root = root.parent;
+                if (root === vehicle) continue;
 
-                return true;
-            });
-
-            for (const obstacle of obstacles) {
-                const obstacleBox = new THREE.Box3().setFromObject(obstacle);
                 if (vehicleBox.intersectsBox(obstacleBox)) {
-                    // Find root object
-                    let root = obstacle;
-                    while (root.parent && root.parent.type !== 'Scene') root = root.parent;
-
                     if (root.userData.isMoveable) {
                         // Push Moveable Object
                         const pushDir = new THREE.Vector3(0, 0, 1).applyQuaternion(vehicle.quaternion).normalize();
                         const pushForce = this.vehicleSpeed * delta;
 
                         root.position.add(pushDir.multiplyScalar(pushForce));
+                        this.game.world.invalidateColliders(root, false);
 
                         // Transfer momentum (slow car down)
                         this.vehicleSpeed *= 0.98;
@@ -952,6 +1081,7 @@ export class Player {
 
                         // Undo movement
                         vehicle.translateZ(-this.vehicleSpeed * delta);
+                        this.game.world.invalidateColliders(vehicle, false);
 
                         // Stop (bounce slightly?)
                         this.vehicleSpeed = -this.vehicleSpeed * 0.3; // Small bounce back
@@ -1056,25 +1186,17 @@ export class Player {
      */
     checkHorizontalCollision() {
         const position = this.controls.object.position;
-        const obstacles = this.game.world.collidables.filter(obj => obj.name.startsWith('obstacle_'));
 
-        for (const obstacle of obstacles) {
-            // Get obstacle bounds
-            const box = new THREE.Box3().setFromObject(obstacle);
+        // Player cylinder approximated as a box
+        const playerBox = new THREE.Box3(
+            new THREE.Vector3(position.x - this.playerRadius, position.y - this.playerHeight, position.z - this.playerRadius),
+            new THREE.Vector3(position.x + this.playerRadius, position.y, position.z + this.playerRadius)
+        );
 
-            // Check if player cylinder intersects with box
-            const playerMin = new THREE.Vector3(
-                position.x - this.playerRadius,
-                position.y - this.playerHeight,
-                position.z - this.playerRadius
-            );
-            const playerMax = new THREE.Vector3(
-                position.x + this.playerRadius,
-                position.y,
-                position.z + this.playerRadius
-            );
-            const playerBox = new THREE.Box3(playerMin, playerMax);
+        // Cached obstacle bounds from the World's spatial hash
+        const nearby = this.game.world.queryColliders(playerBox.min.x, playerBox.min.z, playerBox.max.x, playerBox.max.z);
 
+        for (const { box } of nearby) {
             if (playerBox.intersectsBox(box)) {
                 // Allow if we're on top of the obstacle
                 const feetY = position.y - this.playerHeight;
@@ -1100,9 +1222,11 @@ export class Player {
             new THREE.Vector3(0, -1, 0)
         );
 
-        const obstacles = this.game.world.collidables.filter(obj =>
-            obj.name.startsWith('obstacle_') || obj.name === 'ground'
-        );
+        // Only obstacles whose cells cover this spot can be underfoot
+        const obstacles = this.game.world.queryColliders(position.x, position.z, position.x, position.z)
+            .map(entry => entry.object);
+        const ground = this.game.world.collidables.find(obj => obj.name === 'ground');
+        if (ground) obstacles.push(ground);
 
         const intersects = this.collisionRaycaster.intersectObjects(obstacles, true);
 
@@ -1120,7 +1244,8 @@ export class Player {
 
     updateHUD() {
         this.healthDisplay.textContent = `Health: ${Math.ceil(this.health)}`;
-        this.ammoDisplay.textContent = `Ammo: ${this.ammo}`;
+        const weapon = this.getCurrentWeapon();
+        this.ammoDisplay.textContent = `Ammo: ${this.ammo} / ${weapon ? weapon.reserve : 0}`;
 
         // Create/Update Armor and Money displays if they exist, or append them
         // For simplicity, we assume they are added to the existing elements or we update textContent dynamically
@@ -1135,6 +1260,28 @@ export class Player {
         if (moneyDisp) moneyDisp.textContent = `$: ${(this.money || 0)}`;
     }
 
+    /**
+     * Icon + seconds left per active status effect; the DOM is only rebuilt when the text changes
+     */
+    updateStatusHUD() {
+        if (!this.statusDisplay) return;
+
+        const effects = this.statusEffects.list();
+        const key = effects.map(e => `${e.name}:${Math.ceil(e.timeLeft)}:${e.stacks}`).join('|');
+        if (key === this.statusDisplayKey) return;
+        this.statusDisplayKey = key;
+
+        this.statusDisplay.replaceChildren(...effects.map(effect => {
+            const icon = document.createElement('span');
+            icon.className = 'status-icon';
+            icon.style.color = effect.def.color;
+            icon.title = effect.def.label || effect.name;
+            const stacks = effect.stacks > 1 ? ` x${effect.stacks}` : '';
+            icon.textContent = `${effect.def.icon} ${Math.ceil(effect.timeLeft)}s${stacks}`;
+            return icon;
+        }));
+    }
+
     // Level Editor Methods
     updateHeldObject() {
         if (!this.selectedObject || !this.dragDistance) return;
@@ -1164,8 +1311,9 @@ export class Player {
         const newX = worldCamPos.x + forwardXZ.x * this.dragDistance;
         const newZ = worldCamPos.z + forwardXZ.z * this.dragDistance;
 
-        obj.position.x = newX;
-        obj.position.z = newZ;
+        obj.position.x = this.snapToGrid(newX);
+        obj.position.z = this.snapToGrid(newZ);
+        this.game.world.invalidateColliders(obj);
 
         // Update HUD
         this.updateEditorHUD();
@@ -1176,28 +1324,40 @@ export class Player {
         const hud = document.getElementById('editor-hud');
         if (hud) hud.style.display = this.editMode ? 'block' : 'none';
 
+        this.game.world.setSpawnMarkersVisible(this.editMode);
+
         if (!this.editMode) {
-            this.selectedObject = null;
+            this.releaseSelection();
+            this.editorSelection.clear();
+            this.marqueeSelect.stop();
+            this.assetPalette.close();
         } else {
             // Auto-enable ghost mode in editor for easier movement
             this.ghostMode = true;
+            this.updateEditorHUD();
         }
         console.log('Editor Mode:', this.editMode ? 'ON' : 'OFF');
     }
 
-    selectObject(isCtrlPressed = false) {
+    /**
+     * Right-click: drop / stamp what is carried, or pick up the object in the crosshair together with the
+     * rest of the selection (Shift: add to / remove from the selection without picking up, Ctrl: pick up copies,
+     * Alt: a single member of a named group)
+     */
+    selectObject(isCtrlPressed = false, isShiftPressed = false, isAltPressed = false) {
         // TOGGLE LOGIC: If something is already selected
         if (this.selectedObject) {
             if (isCtrlPressed) {
                 // CLONE ON DROP (Stamp)
                 // Leave a copy here, keep holding original
-                this.cloneObject(this.selectedObject);
+                const stamps = this.cloneSelection();
+                this.editorHistory.record(this.editorHistory.add('Stamp', stamps));
                 // Visual feedback?
-                console.log('Stamped Object');
+                console.log('Stamped', EditorHistory.describe(stamps));
                 return;
             } else {
                 // DROP
-                this.selectedObject = null;
+                this.releaseSelection();
                 this.updateEditorHUD();
 
                 // UNFREEZE CAMERA when dropping object
@@ -1228,90 +1388,375 @@ export class Player {
 
             // ONLY select if it's a valid loaded model (has modelName)
             if (target.userData && target.userData.modelName) {
+                if (isShiftPressed) {
+                    this.selectObjects([target], 'toggle', !isAltPressed);
+                    return;
+                }
+
+                // Picking up an object that is part of the selection carries all of it
+                if (!this.editorSelection.has(target)) this.selectObjects([target], 'set', !isAltPressed);
 
                 if (isCtrlPressed) {
                     // CLONE ON PICKUP
-                    const clone = this.cloneObject(target);
-                    this.selectedObject = clone;
-                    console.log('Cloned & Picked Up:', clone.name);
+                    const clones = this.cloneSelection();
+                    this.editorHistory.record(this.editorHistory.add('Clone', clones));
+                    this.editorSelection.set(clones);
+                    console.log('Cloned & Picked Up:', EditorHistory.describe(clones));
                 } else {
                     // NORMAL PICKUP
-                    this.selectedObject = target;
-                    console.log('Selected:', target.name || 'Unnamed Object');
+                    console.log('Selected:', EditorHistory.describe(this.editorSelection.list()));
                 }
 
-                this.updateEditorHUD();
-
-                // Snap Object to Camera View Center
-                this.snapObjectToView(this.selectedObject);
-
-                // Initialize Drag Distance (XZ)
-                const worldCamPos = new THREE.Vector3();
-                this.game.camera.getWorldPosition(worldCamPos);
-                const dx = this.selectedObject.position.x - worldCamPos.x;
-                const dz = this.selectedObject.position.z - worldCamPos.z;
-                this.dragDistance = Math.sqrt(dx * dx + dz * dz);
-
+                this.pickUpSelection();
                 return;
             }
         }
 
-        // If no hit, or hit something invalid (ground/sky) -> Deselect
-        this.selectedObject = null;
+        // If no hit, or hit something invalid (ground/sky) -> Deselect (Shift keeps the selection)
+        if (!isShiftPressed) this.editorSelection.clear();
         this.updateEditorHUD();
 
         // UNFREEZE CAMERA when dropping object
         if (this.controls) this.controls.lock();
     }
 
+    /**
+     * Change the selection: mode 'set' replaces it, 'add' extends it, 'toggle' flips each object's
+     * membership. Members of named groups come along unless expandGroups is false.
+     */
+    selectObjects(objects, mode = 'set', expandGroups = true) {
+        if (this.selectedObject) return; // Not while carrying
+
+        const world = this.game.world;
+        const picked = expandGroups ? [...new Set(objects.flatMap(obj => world.getGroupMembers(obj)))] : objects;
+
+        if (mode === 'set') this.editorSelection.set(picked);
+        else if (mode === 'add') this.editorSelection.add(picked);
+        else objects.forEach(obj => this.editorSelection.toggle(expandGroups ? world.getGroupMembers(obj) : obj));
+
+        this.updateEditorHUD();
+    }
+
+    /**
+     * Carry the selection (one object, or its members around their shared pivot) in front of the camera
+     */
+    pickUpSelection() {
+        const obj = this.editorSelection.gather();
+        this.selectedObject = obj;
+        this.dragStart = EditorHistory.snapshot(this.editorSelection.list());
+
+        // Snap Object to Camera View Center
+        this.snapObjectToView(obj);
+        this.carryY = obj.position.y;
+
+        // Initialize Drag Distance (XZ)
+        const worldCamPos = new THREE.Vector3();
+        this.game.camera.getWorldPosition(worldCamPos);
+        const dx = obj.position.x - worldCamPos.x;
+        const dz = obj.position.z - worldCamPos.z;
+        this.dragDistance = Math.sqrt(dx * dx + dz * dz);
+
+        this.updateEditorHUD();
+    }
+
     cloneObject(original) {
         const clone = original.clone();
 
         // Copy User Data explicitly if needed (clone usually does shallow copy)
         clone.userData = JSON.parse(JSON.stringify(original.userData));
 
+        // Members of a carried multi-selection are parented to its pivot; the copy goes where the original is
+        if (original.parent !== this.game.scene) {
+            original.updateWorldMatrix(true, false);
+            original.matrixWorld.decompose(clone.position, clone.quaternion, clone.scale);
+        }
+
         // Add to Scene
         this.game.scene.add(clone);
 
+        // Zone names must stay unique
+        if (clone.userData.spawnZone) {
+            clone.userData.zoneName = this.game.world.uniqueZoneName(original.userData.zoneName);
+            clone.name = clone.userData.zoneName;
+        }
+
         // Register Colliders
-        // clone() copies children, so it has the collision mesh, but we need to add it to game.world.collidables
-        clone.traverse((child) => {
-            if (child.name === 'obstacle_child' || child.userData.modelName) {
-                // Check if it's a collider
-                if (child.name === 'obstacle_child') {
-                    this.game.world.collidables.push(child);
-                }
+        // clone() copies children, so it has the collision mesh, but World needs to know about it
+        this.game.world.registerColliders(clone);
 
-                // Ensure shadows are enabled on cloned meshes
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
+        // Ensure shadows are enabled on cloned meshes
+        clone.traverse((child) => {
+            if (child.userData.modelName && child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
             }
         });
 
         return clone;
     }
 
-    deleteSelectedObject() {
-        if (!this.selectedObject) return;
+    /**
+     * Copies of every selected object. Copies of a named group form a new group ("block" -> "block-2").
+     */
+    cloneSelection() {
+        const world = this.game.world;
+        const names = new Map(); // Original group -> copies' group
+        return this.editorSelection.list().map(original => {
+            const clone = this.cloneObject(original);
+            const entry = clone.userData.worldEntry;
+            if (entry && entry.group) {
+                if (!names.has(entry.group)) names.set(entry.group, world.uniqueGroupName(entry.group));
+                entry.group = names.get(entry.group);
+            }
+            return clone;
+        });
+    }
+
+    /**
+     * Copies of the selection one grid step (1 m when free) along X, which become the selection
+     */
+    duplicateSelection() {
+        if (this.selectedObject) this.releaseSelection();
+        if (!this.editorSelection.size) return;
+
+        const copies = this.cloneSelection();
+        copies.forEach(copy => {
+            copy.position.x += this.editorStep || 1;
+            this.game.world.invalidateColliders(copy);
+        });
+        this.editorSelection.set(copies);
 
-        const obj = this.selectedObject;
-        console.log('Deleting:', obj.name);
+        this.editorHistory.record(this.editorHistory.add('Duplicate', copies));
+        this.updateEditorHUD();
+    }
+
+    /**
+     * Put the selection in the named world.json group (null: ungroup). The inspector's Group field renames.
+     */
+    groupSelection(name) {
+        const objects = this.editorSelection.list();
+        if (!objects.length) return;
+
+        const previous = objects.map(obj => (obj.userData.worldEntry && obj.userData.worldEntry.group) || null);
+        const command = this.editorHistory.group(name ? 'Group' : 'Ungroup', objects, name, previous);
+        command.redo();
+        this.editorHistory.record(command);
+        this.updateEditorHUD();
+        console.log(name ? `Grouped ${EditorHistory.describe(objects)} as "${name}"` : `Ungrouped ${EditorHistory.describe(objects)}`);
+    }
+
+    /**
+     * Store the selection's world models in world.json prefabs, named after its group (or "prefab-N"),
+     * positioned relative to the selection's pivot. The asset palette lists prefabs for placing.
+     */
+    savePrefab() {
+        if (this.editorSelection.pivot) this.releaseSelection(); // Positions are read in scene space
+        if (!this.editorSelection.size || !this.game.world.loadedWorldData) return;
+
+        const world = this.game.world;
+        const name = this.editorSelection.getGroupName() || world.uniqueGroupName('prefab');
+        const entries = world.savePrefab(name, this.editorSelection.list(), this.editorSelection.getPivotPoint());
+        if (!entries) return;
 
-        // 1. Remove from Scene
-        this.game.scene.remove(obj);
+        this.assetPalette.buildList();
+        console.log(`Saved prefab "${name}" (${entries.length} models)`);
 
-        // 2. Cleanup Collidables
-        // We need to remove the object and any of its children from the global collidables list
-        const idsToRemove = new Set();
-        idsToRemove.add(obj.id);
-        obj.traverse(child => idsToRemove.add(child.id));
+        const status = document.getElementById('editor-status');
+        if (status) status.innerHTML = `<span style="color:#0f0">Saved prefab "${name}"</span>`;
+    }
+
+    /**
+     * Load a prefab ahead of the camera as a new named group and select it
+     */
+    placePrefab(name) {
+        const world = this.game.world;
+        const position = this.getPlacementPoint(10);
+        position.y = 0;
+
+        return world.instantiatePrefab(name, position, world.uniqueGroupName(name)).then(models => {
+            if (!models.length) return;
+            this.editorHistory.record(this.editorHistory.add('Place', models));
+            this.selectObjects(models, 'set', false);
+            console.log(`Placed prefab "${name}" at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+        });
+    }
+
+    /**
+     * Drop a new spawn point or zone on the ground 5 m ahead of the camera
+     */
+    placeSpawnMarker(isZone) {
+        const position = this.getPlacementPoint(5);
+        const world = this.game.world;
+
+        const marker = isZone
+            ? world.addSpawnZone(world.uniqueZoneName('zone'), position)
+            : world.addSpawnPoint(position);
+
+        this.editorHistory.record(this.editorHistory.add('Place', marker));
+        this.updateEditorHUD();
+        console.log(`Placed ${marker.userData.modelName} at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+    }
+
+    /**
+     * Load a CityPack model (asset palette manifest entry) ahead of the camera as a new world.json entry
+     */
+    placeAsset(asset) {
+        const position = this.getPlacementPoint(10);
+        const entry = {
+            model: asset.file,
+            x: parseFloat(position.x.toFixed(2)),
+            y: 0,
+            z: parseFloat(position.z.toFixed(2)),
+            scale: 1,
+            rotY: 0
+        };
+
+        return this.game.world.loadWorldEntry(asset.category, entry).then(model => {
+            if (!model) return;
+            this.editorHistory.record(this.editorHistory.add('Place', model));
+            this.updateEditorHUD();
+            console.log(`Placed ${asset.name} at (${entry.x}, ${entry.z})`);
+        });
+    }
+
+    /**
+     * Ground point distance metres ahead of the camera (XZ heading)
+     */
+    getPlacementPoint(distance) {
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.game.camera.quaternion);
+        forward.y = 0;
+        if (forward.lengthSq() < 0.001) forward.set(0, 0, -1);
+        forward.normalize();
+
+        return this.controls.object.position.clone().addScaledVector(forward, distance);
+    }
 
-        this.game.world.collidables = this.game.world.collidables.filter(item => !idsToRemove.has(item.id));
+    deleteSelection() {
+        // 1. Drop what is carried (records the move since pickup, so undo restores the original spot)
+        if (this.selectedObject) this.releaseSelection();
 
-        // 3. Reset Selection
+        const objects = this.editorSelection.list();
+        console.log('Deleting:', EditorHistory.describe(objects));
+        this.editorSelection.clear();
+
+        objects.forEach(obj => {
+            // 2. Remove from Scene
+            this.game.scene.remove(obj);
+
+            // 3. Cleanup Collidables
+            // Removes the object and any of its children from collidables and the collision hash
+            this.game.world.removeColliders(obj);
+        });
+
+        this.editorHistory.record(this.editorHistory.remove('Delete', objects));
+        this.updateEditorHUD();
+    }
+
+    /**
+     * Drop what is carried, recording its move since pickup as one history entry.
+     * The objects stay selected.
+     */
+    releaseSelection() {
+        this.recordCarry();
+        if (this.editorGizmo.isActive) this.editorGizmo.detach();
+        this.editorSelection.scatter();
         this.selectedObject = null;
+    }
+
+    /**
+     * Record the selection's move since pickup (if any) and stop tracking it
+     */
+    recordCarry() {
+        if (!this.dragStart) return;
+
+        const objects = this.editorSelection.list();
+        const after = EditorHistory.snapshot(objects);
+        if (!EditorHistory.sameSnapshot(this.dragStart, after)) {
+            this.editorHistory.record(this.editorHistory.transform('Move', objects, this.dragStart, after));
+        }
+        this.dragStart = null;
+    }
+
+    /**
+     * Carrying -> gizmo: the carried move is recorded now, then handles and inspector edits record their own
+     * entries. Gizmo -> dropped, back to pointer lock.
+     */
+    toggleGizmo() {
+        if (this.editorGizmo.isActive) {
+            this.releaseSelection();
+            if (this.controls) this.controls.lock();
+            this.updateEditorHUD();
+            return;
+        }
+
+        this.recordCarry();
+        this.dragDistance = 0; // Stop following the camera
+
+        this.editorGizmo.attach(this.selectedObject);
+        if (this.controls) this.controls.unlock(); // Cursor for the handles / inspector (selection keeps the game running)
+        this.updateEditorHUD();
+    }
+
+    /**
+     * Change the carried selection's position / rotation / scale in place (a multi-selection turns and
+     * scales around its pivot) and record it. While carrying, position changes join the Move recorded on
+     * drop; other edits record the carry so far first, so undo steps back through them in order.
+     */
+    editSelection(verb, property, apply) {
+        const obj = this.selectedObject;
+        if (!obj) return;
+
+        const carrying = this.dragStart !== null;
+        const joinsCarry = carrying && property === 'position';
+        if (!joinsCarry) this.recordCarry();
+
+        const objects = this.editorSelection.list();
+        const before = joinsCarry ? null : EditorHistory.snapshot(objects);
+        apply(obj);
+        this.game.world.invalidateColliders(obj);
+        if (property === 'position') this.carryY = obj.position.y;
+
+        if (!joinsCarry) {
+            const after = EditorHistory.snapshot(objects);
+            const mergeKey = `${objects.map(object => object.uuid).join(',')}:${property}`;
+            this.editorHistory.record(this.editorHistory.transform(verb, objects, before, after, mergeKey));
+            if (carrying) this.dragStart = after; // Keep tracking the carry from here
+        }
+        this.updateEditorHUD();
+    }
+
+    snapToGrid(value) {
+        return this.editorStep > 0 ? Math.round(value / this.editorStep) * this.editorStep : value;
+    }
+
+    /**
+     * Grid (m) and angle (radians) snap; 0 = free
+     */
+    setSnap(grid, angle) {
+        this.editorStep = grid;
+        this.editorRotateStep = angle;
+        this.editorGizmo.applySnap();
+        this.updateEditorHUD();
+    }
+
+    undoEdit() {
+        this.stepHistory(() => this.editorHistory.undo(), 'Undo');
+    }
+
+    redoEdit() {
+        this.stepHistory(() => this.editorHistory.redo(), 'Redo');
+    }
+
+    stepHistory(step, verb) {
+        // A held object is dropped first so its pending move is on the stack
+        if (this.selectedObject) {
+            this.releaseSelection();
+            if (this.controls) this.controls.lock();
+        }
+
+        const command = step();
+        this.editorSelection.prune(); // Undoing a placement / redoing a delete takes objects out of the scene
+        console.log(command ? `${verb}: ${command.label}` : `Nothing to ${verb.toLowerCase()}`);
         this.updateEditorHUD();
     }
 
@@ -1343,68 +1788,262 @@ export class Player {
         const newPos = targetCenter.clone().sub(pivotToCenter);
 
         object.position.copy(newPos);
+        this.game.world.invalidateColliders(object);
     }
 
     updateEditorHUD() {
         const status = document.getElementById('editor-status');
         if (!status) return;
 
+        const selection = this.editorSelection;
+        const groupName = selection.getGroupName();
+        const group = groupName ? ` [group "${groupName}"]` : '';
+        selection.update(); // Outlines follow carried / gizmo-dragged members
+
         if (this.selectedObject) {
             const obj = this.selectedObject;
-            const name = obj.userData.modelName || obj.name || 'Unnamed';
+            let name = obj.userData.modelName || obj.name || 'Unnamed';
+            if (obj.userData.selectionPivot) name = `${selection.size} objects (pivot)`;
+            if (obj.userData.spawnZone) name += ` "${obj.userData.zoneName}" (radius = scale)`;
+            name += group;
             const x = obj.position.x.toFixed(2);
             const y = obj.position.y.toFixed(2);
             const z = obj.position.z.toFixed(2);
             const rot = (obj.rotation.y * (180 / Math.PI)).toFixed(0);
             const scale = obj.scale.x.toFixed(3);
 
+            const gizmo = this.editorGizmo.isActive ? `<br>Gizmo: ${this.editorGizmo.mode} [1/2/3]` : '';
+
             status.innerHTML = `Selected: <span style="color:#fff">${name}</span><br>
                     Pos: ${x}, ${y}, ${z}<br>
                     Rot Y: ${rot}°<br>
-                    Scale: ${scale}`;
+                    Scale: ${scale}${gizmo}`;
+        } else if (selection.size) {
+            status.innerHTML = `Selected: <span style="color:#fff">${EditorHistory.describe(selection.list())}</span>${group}<br>
+                    [R-Click] one of them to carry all`;
         } else {
             status.textContent = 'Select an object';
         }
+        if (this.marqueeSelect.isActive) status.innerHTML += '<br>Marquee: drag to select [M/Esc to exit]';
+
+        this.transformInspector.update(this.selectedObject);
+        this.updateHistoryHUD();
+    }
+
+    updateHistoryHUD() {
+        const list = document.getElementById('editor-history');
+        if (!list) return;
+
+        const history = this.editorHistory;
+        const entries = history.getRecent().map(entry => entry.undone
+            ? `<span style="color:#666">${entry.label}</span>`
+            : entry.label);
+        list.innerHTML = `History: ${history.undoStack.length} undo / ${history.redoStack.length} redo` +
+            entries.map(entry => `<br>${entry}`).join('');
     }
 
     takeDamage(amount) {
+        if (this.isDead) return;
+
+        amount *= this.statusEffects.getMultiplier('damageTaken');
+        amount /= 1 + this.armor * this.game.gameData.combat.armorReduction; // Shop plates and armor pickups
         this.health = Math.max(0, this.health - amount);
         this.updateHUD();
 
+        if (this.game.floatingText && amount >= 0.5) this.game.floatingText.spawnPlayerDamage(amount);
+
         // Play damage sound
         if (this.game.audioManager) this.game.audioManager.playPlayerDamage();
 
         if (this.health <= 0) {
-            console.log('Player died!');
-            // Handle death
+            this.die();
         }
     }
 
+    heal(amount) {
+        if (this.isDead) return;
+
+        this.health = Math.min(this.maxHealth, this.health + amount);
+        this.updateHUD();
+    }
+
+    die() {
+        this.isDead = true;
+        console.log('Player died!');
+
+        // Freeze input
+        this.moveForward = false;
+        this.moveBackward = false;
+        this.moveLeft = false;
+        this.moveRight = false;
+        this.isFiring = false;
+        this.velocity.set(0, 0, 0);
+        this.statusEffects.clear();
+        this.updateStatusHUD();
+
+        if (this.isDriving) this.exitVehicle();
+        if (this.editMode) this.toggleEditorMode();
+
+        this.game.gameOver();
+    }
+
+    /**
+     * Restore run-start state (used by Game.restartRun)
+     */
+    reset() {
+        this.isDead = false;
+        this.maxHealth = 100;
+        this.health = this.maxHealth;
+        this.armor = 0;
+        this.money = 0;
+        this.statusEffects.clear();
+        this.updateStatusHUD();
+
+        // Movement
+        this.velocity.set(0, 0, 0);
+        this.jumpCount = 0;
+        this.controls.object.position.copy(this.spawnPosition);
+
+        // Weapons - back to base stats and lock state, refill everything, equip the first unlocked weapon
+        this.isReloading = false;
+        this.shootCooldown = 0;
+        this.weaponRecoil = 0;
+        this.weapons.forEach(weapon => {
+            const def = this.game.gameData.weapons.find(d => d.name === weapon.name);
+            if (def) {
+                this.applyWeaponStats(weapon, def);
+                weapon.unlocked = !def.locked;
+            }
+            weapon.ammo = weapon.maxAmmo;
+            weapon.reserve = weapon.maxReserve;
+        });
+        this.currentWeapon = Math.max(0, this.weapons.findIndex(w => w.unlocked));
+        this.weapons.forEach((weapon, index) => {
+            if (weapon.model) {
+                weapon.model.visible = (index === this.currentWeapon);
+                weapon.model.rotation.x = 0;
+            }
+        });
+
+        const weapon = this.getCurrentWeapon();
+        if (weapon) {
+            this.ammo = weapon.ammo;
+            this.maxAmmo = weapon.maxAmmo;
+            this.shootRate = weapon.fireRate;
+        }
+
+        this.updateHUD();
+    }
+
+    /**
+     * Run state stored in a save checkpoint
+     */
+    getCheckpointState() {
+        const ammo = {};
+        const reserve = {};
+        this.weapons.forEach((weapon, index) => {
+            ammo[weapon.name] = index === this.currentWeapon ? this.ammo : weapon.ammo;
+            reserve[weapon.name] = weapon.reserve;
+        });
+
+        return {
+            health: this.health,
+            maxHealth: this.maxHealth,
+            armor: this.armor,
+            money: this.money,
+            currentWeapon: this.currentWeapon,
+            ammo,
+            reserve
+        };
+    }
+
+    applyCheckpoint(checkpoint) {
+        this.maxHealth = checkpoint.maxHealth || this.maxHealth;
+        this.health = checkpoint.health;
+        this.armor = checkpoint.armor;
+        this.money = checkpoint.money;
+
+        this.weapons.forEach(weapon => {
+            const saved = checkpoint.ammo ? checkpoint.ammo[weapon.name] : undefined;
+            if (saved !== undefined) weapon.ammo = Math.min(saved, weapon.maxAmmo);
+            const savedReserve = checkpoint.reserve ? checkpoint.reserve[weapon.name] : undefined;
+            if (savedReserve !== undefined) weapon.reserve = Math.min(savedReserve, weapon.maxReserve);
+        });
+
+        if (checkpoint.currentWeapon > 0 && checkpoint.currentWeapon < this.weapons.length) {
+            if (this.weapons[this.currentWeapon].model) this.weapons[this.currentWeapon].model.visible = false;
+            this.currentWeapon = checkpoint.currentWeapon;
+            if (this.weapons[this.currentWeapon].model) this.weapons[this.currentWeapon].model.visible = true;
+        }
+
+        const weapon = this.getCurrentWeapon();
+        if (weapon) {
+            this.ammo = weapon.ammo;
+            this.maxAmmo = weapon.maxAmmo;
+            this.shootRate = weapon.fireRate;
+        }
+        this.updateHUD();
+    }
+
     reload() {
-        this.ammo = this.maxAmmo;
+        const weapon = this.getCurrentWeapon();
+        if (!weapon || this.ammo === this.maxAmmo || weapon.reserve <= 0) return;
+
+        this.loadMagazine();
         this.updateHUD();
         if (this.game.audioManager) this.game.audioManager.playReload();
     }
 
-    collectLoot(type) {
-        if (type === 'coin') {
-            this.money += 10;
-            console.log(`Collected Coin! Money: ${this.money}`);
-            // Play sound
-            if (this.game.audioManager) this.game.audioManager.playTone(1200, 0.1, 0.4, 'sine');
-        } else if (type === 'cowboyhat') {
-            // Armor Formula: Gain = 100 / (100 + CurrentArmor)
-            const armorGain = 100 / (100 + this.armor);
-            this.armor += armorGain;
-            console.log(`Collected Hat! Armor: ${this.armor.toFixed(2)} (+${armorGain.toFixed(2)})`);
-            // Play sound
-            if (this.game.audioManager) this.game.audioManager.playTone(400, 0.1, 0.4, 'square');
-        } else if (type === 'potion') {
-            this.health = Math.min(100, this.health + 25);
-            console.log(`Collected Potion! Health: ${this.health}`);
-            // Play sound
-            if (this.game.audioManager) this.game.audioManager.playTone(600, 0.3, 0.5, 'sine'); // Higher pitch magical sound
-        }
+    /**
+     * Apply a collected pickup's effects (data/game.json pickups.<type>); position shows the gains there
+     */
+    collectLoot(type, position = null) {
+        const def = this.game.gameData.pickups[type];
+        if (!def) return;
+
+        def.effects.forEach((effect, i) => {
+            const label = this.applyPickupEffect(effect);
+            if (label && position && this.game.floatingText) {
+                const labelPosition = position.clone();
+                labelPosition.y += 1 + i * 0.4; // Stack multi-effect pickups
+                this.game.floatingText.spawn(label.text, labelPosition, { color: label.color, jitter: false });
+            }
+        });
+        console.log(`Collected ${type}! Money: ${this.money}, Armor: ${this.armor.toFixed(2)}, Health: ${this.health}`);
+
+        if (this.game.audioManager) this.game.audioManager.playPickup(def.sound);
         this.updateHUD();
     }
+
+    /**
+     * Returns the floating label for the gain ({ text, color }), null if there's nothing to show
+     */
+    applyPickupEffect(effect) {
+        switch (effect.type) {
+            case 'heal': {
+                // Label what the HUD gains (it shows whole HP); nothing at full health
+                const before = Math.ceil(this.health);
+                this.health = Math.min(this.maxHealth, this.health + effect.amount);
+                const gain = Math.ceil(this.health) - before;
+                return gain > 0 ? { text: `+${gain} HP`, color: '#4ade80' } : null;
+            }
+            case 'armor': {
+                // Diminishing: Gain = amount * 100 / (100 + CurrentArmor)
+                const gain = effect.diminishing ? effect.amount * 100 / (100 + this.armor) : effect.amount;
+                this.armor += gain;
+                return { text: `+${gain.toFixed(1)} Armor`, color: '#aaaaff' }; // One decimal, like the HUD
+            }
+            case 'money':
+                this.money += effect.amount;
+                this.game.saveManager.addStat('moneyCollected', effect.amount);
+                return { text: `+$${effect.amount}`, color: '#ffd700' };
+            case 'ammo':
+                return this.refillAmmo() ? { text: 'Ammo', color: '#ffffff' } : null;
+            case 'status': {
+                const applied = this.statusEffects.apply(effect.status);
+                return applied ? { text: applied.def.label || applied.name, color: applied.def.color } : null;
+            }
+        }
+        return null;
+    }
 }
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+
+/**
+ * ProjectileManager class - enemy projectiles (energy bolts, fireballs) with travel time.
+ * Definitions come from data/game.json (projectiles); enemies fire them via Enemy.fireProjectile().
+ */
+export class ProjectileManager {
+    constructor(game) {
+        this.game = game;
+        this.projectiles = [];
+        this.impacts = [];
+
+        this.geometry = new THREE.SphereGeometry(1, 12, 8); // Scaled per projectile radius
+        this.impactDuration = 0.25;
+
+        // Scratch objects for collision tests
+        this.ray = new THREE.Ray();
+        this.hitPoint = new THREE.Vector3();
+    }
+
+    init() {
+        console.log('ProjectileManager initialized');
+    }
+
+    /**
+     * Launch a projectile of the named definition from origin toward target
+     */
+    fire(name, origin, target, owner = null) {
+        const def = this.game.gameData.projectiles[name];
+        if (!def) {
+            console.warn(`Unknown projectile "${name}"`);
+            return null;
+        }
+
+        const color = new THREE.Color(def.color);
+        const mesh = new THREE.Group();
+        mesh.position.copy(origin);
+
+        const core = new THREE.Mesh(this.geometry, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+        core.scale.setScalar(def.radius * 0.5);
+        mesh.add(core);
+
+        const glow = new THREE.Mesh(this.geometry, new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.7,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        glow.scale.setScalar(def.radius);
+        mesh.add(glow);
+
+        this.game.scene.add(mesh);
+
+        const velocity = new THREE.Vector3().subVectors(target, origin).normalize().multiplyScalar(def.speed);
+
+        const projectile = { def, mesh, velocity, color, owner, life: def.lifetime };
+        this.projectiles.push(projectile);
+
+        if (this.game.audioManager) this.game.audioManager.playTone(def.tone, 0.12, 0.25, 'sawtooth');
+        return projectile;
+    }
+
+    update(delta) {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            const position = projectile.mesh.position;
+
+            projectile.life -= delta;
+            if (projectile.life <= 0) {
+                this.remove(i);
+                continue;
+            }
+
+            projectile.velocity.y -= projectile.def.gravity * delta;
+            const start = position.clone();
+            position.addScaledVector(projectile.velocity, delta);
+
+            if (this.hitsPlayer(projectile)) {
+                const owner = projectile.owner;
+                const damageMult = owner ? owner.statusEffects.getMultiplier('damage') : 1;
+                this.game.player.takeDamage(projectile.def.damage * damageMult);
+                if (projectile.def.status) this.game.player.statusEffects.apply(projectile.def.status);
+                this.createImpact(position, projectile.color);
+                this.remove(i);
+                continue;
+            }
+
+            const worldHit = this.findWorldHit(start, position);
+            if (worldHit) {
+                this.createImpact(worldHit, projectile.color);
+                this.remove(i);
+            }
+        }
+
+        this.updateImpacts(delta);
+    }
+
+    /**
+     * Sphere vs the player's vertical capsule (feet to eye height)
+     */
+    hitsPlayer(projectile) {
+        const player = this.game.player;
+        if (player.isDead) return false;
+
+        const eye = player.controls.object.position;
+        const position = projectile.mesh.position;
+        const feetY = eye.y - player.playerHeight;
+
+        const closestY = Math.max(feetY, Math.min(position.y, eye.y));
+        const dx = position.x - eye.x;
+        const dy = position.y - closestY;
+        const dz = position.z - eye.z;
+        const reach = player.playerRadius + projectile.def.radius;
+
+        return dx * dx + dy * dy + dz * dz < reach * reach;
+    }
+
+    /**
+     * First point on the segment start -> end that hits the ground or an obstacle, or null
+     */
+    findWorldHit(start, end) {
+        if (end.y <= 0) return new THREE.Vector3(end.x, 0, end.z);
+
+        const length = start.distanceTo(end);
+        if (length === 0) return null;
+
+        this.ray.origin.copy(start);
+        this.ray.direction.subVectors(end, start).divideScalar(length);
+
+        const nearby = this.game.world.queryColliders(
+            Math.min(start.x, end.x), Math.min(start.z, end.z),
+            Math.max(start.x, end.x), Math.max(start.z, end.z)
+        );
+
+        let closest = null;
+        let closestDistance = length;
+        for (const { box } of nearby) {
+            if (!this.ray.intersectBox(box, this.hitPoint)) continue;
+
+            const distance = start.distanceTo(this.hitPoint);
+            if (distance <= closestDistance) {
+                closestDistance = distance;
+                closest = this.hitPoint.clone();
+            }
+        }
+        return closest;
+    }
+
+    createImpact(position, color) {
+        const mesh = new THREE.Mesh(this.geometry, new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.8,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        mesh.position.copy(position);
+        mesh.scale.setScalar(0.1);
+        this.game.scene.add(mesh);
+
+        this.impacts.push({ mesh, age: 0 });
+    }
+
+    updateImpacts(delta) {
+        for (let i = this.impacts.length - 1; i >= 0; i--) {
+            const impact = this.impacts[i];
+            impact.age += delta;
+
+            const progress = impact.age / this.impactDuration;
+            if (progress >= 1) {
+                this.game.scene.remove(impact.mesh);
+                impact.mesh.material.dispose();
+                this.impacts.splice(i, 1);
+                continue;
+            }
+
+            impact.mesh.scale.setScalar(0.1 + progress * 0.6);
+            impact.mesh.material.opacity = 0.8 * (1 - progress);
+        }
+    }
+
+    remove(index) {
+        const projectile = this.projectiles[index];
+        this.game.scene.remove(projectile.mesh);
+        projectile.mesh.children.forEach(child => child.material.dispose());
+        this.projectiles.splice(index, 1);
+    }
+
+    /**
+     * Clear every projectile in flight (new run / checkpoint restore)
+     */
+    reset() {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) this.remove(i);
+        this.impacts.forEach(impact => {
+            this.game.scene.remove(impact.mesh);
+            impact.mesh.material.dispose();
+        });
+        this.impacts = [];
+    }
+}
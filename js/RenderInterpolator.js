@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+
+/**
+ * RenderInterpolator class - smooths fixed-step simulation for rendering.
+ * Records each object's position before every fixed step, then for the render
+ * blends between the last two simulated positions and puts the simulated
+ * position back afterwards so gameplay never sees the blended value.
+ * Only positions are blended; rotations (mouse look, enemy facing) render as simulated.
+ */
+export class RenderInterpolator {
+    constructor() {
+        this.states = new Map(); // Object3D -> { previous, current }
+    }
+
+    /**
+     * Call before each fixed step with the objects that step may move
+     */
+    beginStep(objects) {
+        for (const object of objects) {
+            let state = this.states.get(object);
+            if (!state) {
+                state = { previous: new THREE.Vector3(), current: new THREE.Vector3() };
+                this.states.set(object, state);
+            }
+            state.previous.copy(object.position);
+        }
+    }
+
+    /**
+     * Place objects alpha (0-1) of the way from the previous to the latest step
+     */
+    apply(objects, alpha) {
+        // Forget objects that stopped being tracked (dead enemies, left vehicle)
+        const tracked = new Set(objects);
+        for (const object of this.states.keys()) {
+            if (!tracked.has(object)) this.states.delete(object);
+        }
+
+        for (const object of objects) {
+            const state = this.states.get(object);
+            if (!state) continue; // Appeared after the last step; nothing to blend from yet
+
+            state.current.copy(object.position);
+            object.position.lerpVectors(state.previous, state.current, alpha);
+        }
+    }
+
+    /**
+     * Put the simulated positions back after rendering
+     */
+    restore() {
+        for (const [object, state] of this.states) {
+            object.position.copy(state.current);
+        }
+    }
+
+    /**
+     * Drop history so the next frame doesn't blend across a teleport (respawn, restart)
+     */
+    reset() {
+        this.states.clear();
+    }
+}
@@ -0,0 +1,167 @@
+const SAVE_KEY = '3dfps.save';
+
+// Bump when the save shape changes and add a matching entry to MIGRATIONS
+const SAVE_VERSION = 1;
+
+/**
+ * MIGRATIONS[n] upgrades a version-n save to version n + 1
+ */
+const MIGRATIONS = {
+    // v0: unversioned blob - keep whatever settings it had, drop the rest
+    0: (save) => ({
+        settings: save.settings || {}
+    })
+};
+
+function createDefaultSave() {
+    return {
+        version: SAVE_VERSION,
+        settings: {},          // musicVolume / sfxVolume (0-1), difficulty (1-6); missing = HTML default
+        highScores: {},        // difficulty level -> { wave, kills, money, date }
+        stats: {
+            runs: 0,
+            kills: 0,
+            deaths: 0,
+            wavesCleared: 0,
+            moneyCollected: 0
+        },
+        checkpoint: null       // { wave, kills, health, maxHealth, armor, money, currentWeapon, ammo: { [weaponName]: n }, reserve: { [weaponName]: n }, shop: purchases }
+    };
+}
+
+/**
+ * SaveManager class - versioned localStorage persistence (settings, high scores, lifetime stats, checkpoint)
+ */
+export class SaveManager {
+    constructor(game) {
+        this.game = game;
+        this.data = createDefaultSave();
+        this.onUnload = () => this.save();
+    }
+
+    init() {
+        this.data = this.load();
+
+        // Stats are batched in memory; make sure they survive closing the tab
+        window.addEventListener('beforeunload', this.onUnload);
+
+        console.log('SaveManager initialized', this.data);
+    }
+
+    load() {
+        try {
+            const raw = localStorage.getItem(SAVE_KEY);
+            if (!raw) return createDefaultSave();
+            return this.migrate(JSON.parse(raw));
+        } catch (e) {
+            console.warn('Save data unreadable, starting fresh:', e);
+            return createDefaultSave();
+        }
+    }
+
+    migrate(save) {
+        let version = Number.isInteger(save.version) ? save.version : 0;
+
+        if (version > SAVE_VERSION) {
+            console.warn(`Save version ${version} is newer than supported (${SAVE_VERSION}); loading what we can.`);
+        }
+
+        while (version < SAVE_VERSION) {
+            save = MIGRATIONS[version](save);
+            version++;
+            console.log(`Migrated save to version ${version}`);
+        }
+
+        // Fill in anything added to the default shape
+        const defaults = createDefaultSave();
+        return {
+            ...defaults,
+            ...save,
+            version: SAVE_VERSION,
+            settings: { ...defaults.settings, ...save.settings },
+            stats: { ...defaults.stats, ...save.stats }
+        };
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify(this.data));
+        } catch (e) {
+            console.warn('Could not write save data:', e);
+        }
+    }
+
+    /**
+     * Delete the stored save (dev panel "Clear save"). The unload save is dropped too,
+     * so reloading afterwards doesn't write the old data straight back.
+     */
+    clear() {
+        window.removeEventListener('beforeunload', this.onUnload);
+        localStorage.removeItem(SAVE_KEY);
+        this.data = createDefaultSave();
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // SETTINGS
+    // ═══════════════════════════════════════════════════════════
+
+    get settings() {
+        return this.data.settings;
+    }
+
+    updateSettings(changes) {
+        Object.assign(this.data.settings, changes);
+        this.save();
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // STATS & HIGH SCORES
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Increment a lifetime stat (written on the next save())
+     */
+    addStat(key, amount = 1) {
+        this.data.stats[key] = (this.data.stats[key] || 0) + amount;
+    }
+
+    getHighScore(difficulty) {
+        return this.data.highScores[difficulty] || null;
+    }
+
+    /**
+     * Record a finished run. Returns true if it beat the high score for its difficulty
+     * (furthest wave, then most kills).
+     */
+    recordRun({ difficulty, wave, kills, money }) {
+        this.addStat('runs');
+        this.addStat('deaths');
+
+        const best = this.getHighScore(difficulty);
+        const isHighScore = !best || wave > best.wave || (wave === best.wave && kills > best.kills);
+        if (isHighScore) {
+            this.data.highScores[difficulty] = { wave, kills, money, date: new Date().toISOString() };
+        }
+
+        this.save();
+        return isHighScore;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // CHECKPOINT
+    // ═══════════════════════════════════════════════════════════
+
+    get checkpoint() {
+        return this.data.checkpoint;
+    }
+
+    saveCheckpoint(checkpoint) {
+        this.data.checkpoint = checkpoint;
+        this.save();
+    }
+
+    clearCheckpoint() {
+        this.data.checkpoint = null;
+        this.save();
+    }
+}
@@ -0,0 +1,253 @@
+/**
+ * ShopManager class - between-waves / ATM shop for spending Player.money.
+ * Items and prices come from data/game.json (shop.items).
+ */
+export class ShopManager {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+
+        // itemId (or itemId:weaponName for weapon upgrades) -> times bought this run
+        this.purchases = {};
+
+        // DOM
+        this.itemsContainer = document.getElementById('shop-items');
+        this.moneyDisplay = document.getElementById('shop-money');
+    }
+
+    get config() {
+        return this.game.gameData.shop;
+    }
+
+    init() {
+        document.getElementById('btn-shop-close').addEventListener('click', () => this.close());
+        console.log('ShopManager initialized');
+    }
+
+    reset() {
+        this.purchases = {};
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // OPEN / CLOSE
+    // ═══════════════════════════════════════════════════════════
+
+    canOpen() {
+        if (this.game.isGameOver || this.game.player.editMode) return false;
+        return this.game.enemyManager.isIntermission() || this.isNearAtm();
+    }
+
+    isNearAtm() {
+        const playerPos = this.game.player.controls.object.position;
+        return this.game.scene.children.some(obj =>
+            obj.userData.modelName === this.config.atmModel &&
+            obj.position.distanceTo(playerPos) <= this.config.atmRange
+        );
+    }
+
+    open() {
+        if (this.isOpen) return;
+
+        if (!this.canOpen()) {
+            this.game.enemyManager.showNotification('Shop opens between waves or at an ATM');
+            return;
+        }
+
+        this.isOpen = true;
+        this.render();
+
+        // Unlocking fires Player's 'unlock' handler, which pauses and shows the shop screen
+        this.game.player.controls.unlock();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.game.showScreen('main');
+        this.game.player.controls.lock();
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // PRICING
+    // ═══════════════════════════════════════════════════════════
+
+    getPurchaseKey(item) {
+        if (item.type === 'weaponUpgrade') {
+            return `${item.id}:${this.game.player.getCurrentWeapon().name}`;
+        }
+        return item.id;
+    }
+
+    getLevel(item) {
+        return this.purchases[this.getPurchaseKey(item)] || 0;
+    }
+
+    getPrice(item) {
+        return Math.round(item.price * Math.pow(item.priceGrowth, this.getLevel(item)));
+    }
+
+    /**
+     * Returns a reason string when the item can't be bought right now, otherwise null
+     */
+    getUnavailableReason(item) {
+        const player = this.game.player;
+
+        if (item.maxLevel > 0 && this.getLevel(item) >= item.maxLevel) return 'MAXED';
+
+        if (item.type === 'weaponUnlock') {
+            const weapon = player.weapons.find(w => w.name === item.weapon);
+            if (!weapon) return 'N/A';
+            if (weapon.unlocked) return 'OWNED';
+        }
+
+        if (item.type === 'weaponUpgrade' && !player.getCurrentWeapon()) return 'N/A';
+        if (item.type === 'ammo' && player.weapons.every(w => !w.unlocked || w.reserve >= w.maxReserve)) return 'FULL';
+
+        if (player.money < this.getPrice(item)) return 'NEED $';
+        return null;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // PURCHASING
+    // ═══════════════════════════════════════════════════════════
+
+    purchase(item) {
+        if (this.getUnavailableReason(item)) return;
+
+        const player = this.game.player;
+        const price = this.getPrice(item);
+        const key = this.getPurchaseKey(item);
+        const level = this.getLevel(item);
+
+        // Apply first so an item that can't be applied costs nothing
+        if (!this.applyItem(item, player.getCurrentWeapon())) return;
+        player.money -= price;
+        this.purchases[key] = level + 1;
+
+        player.updateHUD();
+        console.log(`Bought ${item.name} for $${price}. Money left: ${player.money}`);
+        if (this.game.audioManager) this.game.audioManager.playTone(900, 0.15, 0.4, 'triangle');
+
+        this.render();
+    }
+
+    /**
+     * Apply one level of an item's effect; false when it couldn't be applied
+     */
+    applyItem(item, weapon) {
+        const player = this.game.player;
+
+        switch (item.type) {
+            case 'ammo':
+                return player.refillAmmo();
+            case 'weaponUnlock': {
+                const unlocked = player.weapons.find(w => w.name === item.weapon);
+                if (!unlocked) return false;
+                unlocked.unlocked = true;
+                break;
+            }
+            case 'weaponUpgrade':
+                return this.applyWeaponUpgrade(weapon, item);
+            case 'armor':
+                player.armor += item.amount;
+                break;
+            case 'maxHealth':
+                player.maxHealth += item.amount;
+                player.health = Math.min(player.maxHealth, player.health + item.amount);
+                break;
+            default:
+                console.warn(`Unknown shop item type "${item.type}" (${item.id})`);
+                return false;
+        }
+        return true;
+    }
+
+    applyWeaponUpgrade(weapon, item) {
+        const player = this.game.player;
+        if (!weapon) return false;
+
+        switch (item.stat) {
+            case 'damage':
+                weapon.damage *= 1 + item.amount;
+                break;
+            case 'fireRate':
+                weapon.fireRate *= 1 - item.amount; // Lower = faster
+                break;
+            case 'magazine':
+                weapon.maxAmmo = Math.round(weapon.maxAmmo * (1 + item.amount));
+                break;
+            default:
+                console.warn(`Unknown weapon upgrade stat "${item.stat}" (${item.id})`);
+                return false;
+        }
+
+        // Keep the Player's cached copies of the equipped weapon in sync
+        if (weapon === player.getCurrentWeapon()) {
+            player.maxAmmo = weapon.maxAmmo;
+            player.shootRate = weapon.fireRate;
+        }
+        return true;
+    }
+
+    /**
+     * Re-apply the run's weapon unlocks and upgrades on top of base weapon stats
+     * (after a checkpoint restore or a data hot-reload)
+     */
+    reapplyUpgrades() {
+        const player = this.game.player;
+
+        for (const [key, level] of Object.entries(this.purchases)) {
+            const [itemId, weaponName] = key.split(':');
+            const item = this.config.items.find(i => i.id === itemId);
+            if (!item) continue;
+
+            if (item.type === 'weaponUnlock') {
+                this.applyItem(item, null);
+            } else if (item.type === 'weaponUpgrade') {
+                const weapon = player.weapons.find(w => w.name === weaponName);
+                if (!weapon) continue;
+                for (let i = 0; i < level; i++) this.applyWeaponUpgrade(weapon, item);
+            }
+        }
+    }
+
+    restore(purchases) {
+        this.purchases = { ...purchases };
+        this.reapplyUpgrades();
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // UI
+    // ═══════════════════════════════════════════════════════════
+
+    render() {
+        const player = this.game.player;
+        const weapon = player.getCurrentWeapon();
+
+        this.moneyDisplay.textContent = `$${player.money}`;
+        this.itemsContainer.innerHTML = '';
+
+        for (const item of this.config.items) {
+            const reason = this.getUnavailableReason(item);
+            const level = this.getLevel(item);
+
+            let label = item.name;
+            if (item.type === 'weaponUpgrade' && weapon) label += ` (${weapon.name})`;
+            if (item.maxLevel > 0) label += ` [${level}/${item.maxLevel}]`;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'shop-item';
+            button.disabled = reason !== null;
+            button.innerHTML = `<span class="shop-item-name"></span>
+                <span class="shop-item-price">${reason || `$${this.getPrice(item)}`}</span>
+                <span class="shop-item-desc"></span>`;
+            button.querySelector('.shop-item-name').textContent = label;
+            button.querySelector('.shop-item-desc').textContent = item.description;
+            button.addEventListener('click', () => this.purchase(item));
+
+            this.itemsContainer.appendChild(button);
+        }
+    }
+}
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+/**
+ * SpatialHash class - uniform XZ grid over cached world-space AABBs.
+ * Broad-phase for collision queries: entries are { object, box } and are only
+ * recomputed when update() is called for them.
+ */
+export class SpatialHash {
+    constructor(cellSize = 8) {
+        this.cellSize = cellSize;
+        this.cells = new Map();     // cell key -> Set of entries
+        this.entries = new Map();   // object -> { object, box, keys }
+        this.queryId = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    cellKey(cx, cz) {
+        // Pack two signed 16-bit cell coords into one number
+        return (cx + 32768) * 65536 + (cz + 32768);
+    }
+
+    cellRange(minX, minZ, maxX, maxZ) {
+        return {
+            minCx: Math.floor(minX / this.cellSize),
+            minCz: Math.floor(minZ / this.cellSize),
+            maxCx: Math.floor(maxX / this.cellSize),
+            maxCz: Math.floor(maxZ / this.cellSize)
+        };
+    }
+
+    /**
+     * Add (or re-add) an object. The AABB is computed from its current world matrix.
+     */
+    insert(object) {
+        this.remove(object);
+
+        const box = new THREE.Box3().setFromObject(object);
+        if (box.isEmpty()) return null;
+
+        const entry = { object, box, keys: [], queryId: 0 };
+        const { minCx, minCz, maxCx, maxCz } = this.cellRange(box.min.x, box.min.z, box.max.x, box.max.z);
+
+        for (let cz = minCz; cz <= maxCz; cz++) {
+            for (let cx = minCx; cx <= maxCx; cx++) {
+                const key = this.cellKey(cx, cz);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = new Set();
+                    this.cells.set(key, cell);
+                }
+                cell.add(entry);
+                entry.keys.push(key);
+            }
+        }
+
+        this.entries.set(object, entry);
+        return entry;
+    }
+
+    remove(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return;
+
+        for (const key of entry.keys) {
+            const cell = this.cells.get(key);
+            if (!cell) continue;
+            cell.delete(entry);
+            if (cell.size === 0) this.cells.delete(key);
+        }
+        this.entries.delete(object);
+    }
+
+    update(object) {
+        return this.insert(object);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+
+    /**
+     * All entries whose cells overlap the XZ rectangle (box overlap is left to the caller)
+     */
+    query(minX, minZ, maxX, maxZ, out = []) {
+        const id = ++this.queryId;
+        const { minCx, minCz, maxCx, maxCz } = this.cellRange(minX, minZ, maxX, maxZ);
+
+        for (let cz = minCz; cz <= maxCz; cz++) {
+            for (let cx = minCx; cx <= maxCx; cx++) {
+                const cell = this.cells.get(this.cellKey(cx, cz));
+                if (!cell) continue;
+
+                for (const entry of cell) {
+                    if (entry.queryId === id) continue; // Already returned via another cell
+                    entry.queryId = id;
+                    out.push(entry);
+                }
+            }
+        }
+        return out;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * StatusEffects class - timed effects on one target (the player or an enemy).
+ * Definitions come from data/game.json statusEffects; pickups and enemy attacks apply them by name.
+ * Modifiers multiply the target's stats while active (speed, damage dealt, damageTaken);
+ * ticks call target.takeDamage() / target.heal() every tickInterval seconds.
+ */
+export class StatusEffects {
+    static STACKING = {
+        REFRESH: 'refresh', // Re-applying resets the timer
+        EXTEND: 'extend',   // Re-applying adds duration (capped at maxDuration)
+        STACK: 'stack',     // Re-applying adds a stack (up to maxStacks) and resets the timer
+        IGNORE: 'ignore'    // Re-applying does nothing while active
+    };
+
+    constructor(game, target) {
+        this.game = game;
+        this.target = target;
+        this.active = new Map(); // name -> { name, def, timeLeft, stacks, tickTimer }
+    }
+
+    apply(name) {
+        const def = this.game.gameData.statusEffects[name];
+        if (!def) {
+            console.warn(`Unknown status effect "${name}"`);
+            return null;
+        }
+
+        const effect = this.active.get(name);
+        if (!effect) {
+            const created = { name, def, timeLeft: def.duration, stacks: 1, tickTimer: def.tickInterval };
+            this.active.set(name, created);
+            return created;
+        }
+
+        switch (def.stacking) {
+            case StatusEffects.STACKING.EXTEND:
+                effect.timeLeft += def.duration;
+                if (def.maxDuration > 0) effect.timeLeft = Math.min(effect.timeLeft, def.maxDuration);
+                break;
+            case StatusEffects.STACKING.STACK:
+                effect.stacks = Math.min(effect.stacks + 1, def.maxStacks);
+                effect.timeLeft = def.duration;
+                break;
+            case StatusEffects.STACKING.IGNORE:
+                break;
+            default:
+                effect.timeLeft = def.duration;
+        }
+        return effect;
+    }
+
+    update(delta) {
+        for (const [name, effect] of this.active) {
+            const { def } = effect;
+
+            // Ticks due within this step (a tick landing exactly on expiry still counts)
+            if (def.tickInterval > 0) {
+                effect.tickTimer -= Math.min(delta, effect.timeLeft);
+                while (effect.tickTimer <= 0) {
+                    this.tick(effect);
+                    effect.tickTimer += def.tickInterval;
+                }
+            }
+
+            effect.timeLeft -= delta;
+            if (effect.timeLeft <= 0) this.active.delete(name);
+        }
+    }
+
+    tick(effect) {
+        const { def, stacks } = effect;
+        if (def.tickDamage > 0) this.target.takeDamage(def.tickDamage * stacks);
+        if (def.tickHeal > 0) this.target.heal(def.tickHeal * stacks);
+    }
+
+    /**
+     * Product of every active effect's multiplier for stat (stacks compound)
+     */
+    getMultiplier(stat) {
+        let multiplier = 1;
+        for (const { def, stacks } of this.active.values()) {
+            const value = def.modifiers[stat];
+            if (value !== undefined) multiplier *= Math.pow(value, stacks);
+        }
+        return multiplier;
+    }
+
+    has(name) {
+        return this.active.has(name);
+    }
+
+    list() {
+        return [...this.active.values()];
+    }
+
+    clear() {
+        this.active.clear();
+    }
+}
@@ -1,5 +1,16 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { NavGrid } from './NavGrid.js';
+import { SpatialHash } from './SpatialHash.js';
+
+/**
+ * world.json model lists: load defaults (an entry's own collidable / surface wins)
+ */
+export const WORLD_CATEGORIES = {
+    buildings: { collidable: true, moveable: false, surface: 'concrete' },
+    vehicles: { collidable: true, moveable: false, surface: 'metal' },
+    props: { collidable: false, moveable: true, surface: 'wood' }
+};
 
 /**
  * World class - loads 3D city assets from CityPack
@@ -11,6 +22,16 @@ export class World {
         this.loader = new GLTFLoader();
         this.loadedModels = {};
         this.assetCache = {}; // Cache for cloning
+        this.navGrid = new NavGrid({ size: 200, cellSize: 1, agentRadius: 0.5 }); // Matches the ground plane
+        this.collisionHash = new SpatialHash(8); // Cached obstacle AABBs for collision broad-phase
+        this.navRebuildDelay = 0.5; // Seconds after the last layout change before re-baking the NavGrid
+        this.navRebuildTimer = 0;
+
+        // Spawn markers (editor-visible only)
+        this.spawnPointMaterial = new THREE.MeshBasicMaterial({ color: 0x22c55e, transparent: true, opacity: 0.6 });
+        this.spawnZoneMaterial = new THREE.MeshBasicMaterial({ color: 0xf97316, transparent: true, opacity: 0.25, side: THREE.DoubleSide, depthWrite: false });
+        this.sightRay = new THREE.Ray();
+        this.sightHit = new THREE.Vector3();
     }
 
     init() {
@@ -31,6 +52,7 @@ export class World {
         ground.rotation.x = -Math.PI / 2;
         ground.receiveShadow = true;
         ground.name = 'ground';
+        ground.userData.surface = 'ground';
         this.game.scene.add(ground);
         this.collidables.push(ground);
 
@@ -73,27 +95,355 @@ export class World {
                 console.log('World data loaded:', data);
 
                 // Load assets from JSON
-                if (data.buildings) data.buildings.forEach(b => this.loadModel(b, true));
-                if (data.vehicles) data.vehicles.forEach(v => this.loadModel(v, true));
-                if (data.props) data.props.forEach(p => this.loadModel(p, false, true));
+                const loads = [];
+                Object.keys(WORLD_CATEGORIES).forEach(category => {
+                    (data[category] || []).forEach(entry => loads.push(this.loadWorldEntry(category, entry)));
+                });
+
+                // Designer spawn points / zones (used by EnemyManager)
+                this.loadSpawns(data);
 
                 // Store loaded data reference for editor
                 this.loadedWorldData = data;
+
+                return Promise.all(loads);
             })
+            .then(() => this.onWorldLoaded())
             .catch(error => {
                 console.error('Error loading world.json:', error);
 
                 // Fallback / Default if file missing (optional, or just log error)
             });
 
-        // Preload Loot Models (Hidden off-stage)
-        // Preload Loot Models (Hidden off-stage)
-        const lootModels = ['CoinDollarSign.glb', 'SheriffHat.glb', 'ComplexHealthPotion.glb'];
+        // Preload Loot Models (Hidden off-stage) - every model named in data/game.json pickups
+        const lootModels = new Set(Object.values(this.game.gameData.pickups).map(pickup => pickup.model).filter(Boolean));
         lootModels.forEach(modelName => {
             this.loadModel({ model: modelName, path: 'assets', x: 0, y: -500, z: 0, scale: 1, rotY: 0, collidable: false });
         });
     }
 
+    /**
+     * Load one world.json model entry. The model keeps a copy of its entry and category
+     * (userData.worldEntry / worldCategory, copied by editor clones) for exportWorldData().
+     */
+    loadWorldEntry(category, entry) {
+        const defaults = WORLD_CATEGORIES[category];
+        return this.loadModel(entry, defaults.collidable, defaults.moveable).then(model => {
+            if (model) {
+                model.userData.worldEntry = { ...entry };
+                model.userData.worldCategory = category;
+                model.userData.surface = entry.surface || defaults.surface; // Bullet impact particles
+            }
+            return model;
+        });
+    }
+
+    /**
+     * world.json as edited: each world model and spawn marker in the scene is written back as its
+     * original entry (path, collidable, group, unknown fields, ...) plus the transform edits; top-level
+     * keys such as prefabs carry over. Runtime-only objects - preloaded loot models, enemies, drops -
+     * have no entry and are skipped.
+     */
+    exportWorldData() {
+        const data = { ...this.loadedWorldData, spawnPoints: [], spawnZones: [] };
+        Object.keys(WORLD_CATEGORIES).forEach(category => { data[category] = []; });
+
+        this.game.scene.children.forEach(obj => {
+            const entry = obj.userData.worldEntry || {};
+
+            if (obj.userData.spawnPoint) {
+                data.spawnPoints.push(this.exportEntry(entry, { x: [obj.position.x, 2], z: [obj.position.z, 2] }));
+            } else if (obj.userData.spawnZone) {
+                data.spawnZones.push({
+                    ...this.exportEntry(entry, { x: [obj.position.x, 2], z: [obj.position.z, 2], radius: [obj.scale.x, 2, 10] }),
+                    name: obj.userData.zoneName
+                });
+            } else if (obj.userData.worldCategory) {
+                data[obj.userData.worldCategory].push(this.exportEntry(entry, {
+                    x: [obj.position.x, 2],
+                    y: [obj.position.y, 2, 0],
+                    z: [obj.position.z, 2],
+                    scale: [obj.scale.x, 3, 1],
+                    rotY: [obj.rotation.y, 4, 0]
+                }));
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * Copy of entry with values ({ key: [value, decimals, default] }) written where they changed.
+     * Unchanged values keep the author's exact number, or stay absent if the entry left them out.
+     */
+    exportEntry(entry, values) {
+        const out = { ...entry };
+        Object.entries(values).forEach(([key, [value, decimals, fallback]]) => {
+            const original = entry[key] ?? fallback;
+            if (original !== undefined && Math.abs(original - value) < 0.5 * 10 ** -decimals) return;
+            out[key] = parseFloat(value.toFixed(decimals));
+        });
+        return out;
+    }
+
+    /**
+     * Everything in world.json is in the scene - bake data that depends on the final layout
+     */
+    onWorldLoaded() {
+        this.rebuildNavGrid();
+    }
+
+    rebuildNavGrid() {
+        this.game.scene.updateMatrixWorld(true);
+        this.navGrid.build(this.collidables);
+        this.navRebuildTimer = 0;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // COLLISION BROAD-PHASE
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Add every obstacle collider under root to collidables and the spatial hash
+     */
+    registerColliders(root) {
+        root.updateMatrixWorld(true);
+        root.traverse(child => {
+            if (!child.name.startsWith('obstacle_')) return;
+            if (!this.collidables.includes(child)) this.collidables.push(child);
+            this.collisionHash.insert(child);
+        });
+        this.onLayoutChanged();
+    }
+
+    /**
+     * Re-cache the AABBs under root after it moved, rotated or scaled; runtime movers (a driven car,
+     * props it pushes) pass rebakeNav = false, the NavGrid would otherwise re-bake after every stop.
+     */
+    invalidateColliders(root, rebakeNav = true) {
+        root.updateMatrixWorld(true);
+        root.traverse(child => {
+            if (this.collisionHash.entries.has(child)) this.collisionHash.update(child);
+        });
+        if (rebakeNav) this.onLayoutChanged();
+    }
+
+    removeColliders(root) {
+        const removed = new Set();
+        root.traverse(child => removed.add(child));
+
+        this.collidables = this.collidables.filter(item => !removed.has(item));
+        removed.forEach(child => this.collisionHash.remove(child));
+        this.onLayoutChanged();
+    }
+
+    /**
+     * Cached obstacle entries ({ object, box }) near an XZ rectangle
+     */
+    queryColliders(minX, minZ, maxX, maxZ) {
+        return this.collisionHash.query(minX, minZ, maxX, maxZ);
+    }
+
+    /**
+     * True when no obstacle AABB blocks the straight segment from -> to
+     */
+    hasLineOfSight(from, to) {
+        const length = from.distanceTo(to);
+        if (length === 0) return true;
+
+        const ray = this.sightRay;
+        ray.origin.copy(from);
+        ray.direction.subVectors(to, from).divideScalar(length);
+
+        const nearby = this.queryColliders(
+            Math.min(from.x, to.x), Math.min(from.z, to.z),
+            Math.max(from.x, to.x), Math.max(from.z, to.z)
+        );
+        for (const { box } of nearby) {
+            if (ray.intersectBox(box, this.sightHit) && from.distanceTo(this.sightHit) < length) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Surface material of a hit object (ground, concrete, metal, wood) from the nearest tagged ancestor
+     */
+    getSurface(object) {
+        for (let current = object; current; current = current.parent) {
+            if (current.userData.surface) return current.userData.surface;
+        }
+        return 'concrete';
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // SPAWN POINTS & ZONES
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * world.json spawnPoints: [{ x, z }], spawnZones: [{ name, x, z, radius }].
+     * Each becomes a marker mesh in the scene so the editor can move, scale, clone and delete it.
+     */
+    loadSpawns(data) {
+        // Entries are kept on the markers so the export writes back any extra fields
+        (data.spawnPoints || []).forEach(point => {
+            this.addSpawnPoint(new THREE.Vector3(point.x, 0, point.z)).userData.worldEntry = { ...point };
+        });
+        (data.spawnZones || []).forEach(zone => {
+            this.addSpawnZone(zone.name, new THREE.Vector3(zone.x, 0, zone.z), zone.radius).userData.worldEntry = { ...zone };
+        });
+    }
+
+    addSpawnPoint(position) {
+        const geometry = new THREE.CylinderGeometry(0.4, 0.4, 2, 12);
+        geometry.translate(0, 1, 0); // Pivot at the feet
+
+        const marker = new THREE.Mesh(geometry, this.spawnPointMaterial);
+        marker.position.set(position.x, 0, position.z);
+        marker.name = 'SpawnPoint';
+        marker.userData.modelName = 'SpawnPoint'; // Selectable in the editor
+        marker.userData.spawnPoint = true;
+        marker.visible = this.game.player.editMode;
+
+        this.game.scene.add(marker);
+        return marker;
+    }
+
+    /**
+     * Zone radius is the marker's scale, so the editor's scale keys resize it
+     */
+    addSpawnZone(name, position, radius = 10) {
+        const geometry = new THREE.CircleGeometry(1, 48);
+        geometry.rotateX(-Math.PI / 2); // Flat on the ground without touching mesh rotation
+
+        const marker = new THREE.Mesh(geometry, this.spawnZoneMaterial);
+        marker.position.set(position.x, 0.05, position.z);
+        marker.scale.setScalar(radius);
+        marker.name = name;
+        marker.userData.modelName = 'SpawnZone';
+        marker.userData.spawnZone = true;
+        marker.userData.zoneName = name;
+        marker.visible = this.game.player.editMode;
+
+        this.game.scene.add(marker);
+        return marker;
+    }
+
+    /**
+     * Current spawn point positions (read from the markers, so editor changes apply immediately)
+     */
+    getSpawnPoints() {
+        return this.game.scene.children
+            .filter(obj => obj.userData.spawnPoint)
+            .map(obj => new THREE.Vector3(obj.position.x, 0, obj.position.z));
+    }
+
+    getSpawnZones() {
+        return this.game.scene.children
+            .filter(obj => obj.userData.spawnZone)
+            .map(obj => ({ name: obj.userData.zoneName, x: obj.position.x, z: obj.position.z, radius: obj.scale.x }));
+    }
+
+    getSpawnZone(name) {
+        return this.getSpawnZones().find(zone => zone.name === name) || null;
+    }
+
+    uniqueZoneName(base) {
+        const names = new Set(this.getSpawnZones().map(zone => zone.name));
+        let index = 2;
+        while (names.has(`${base}-${index}`)) index++;
+        return `${base}-${index}`;
+    }
+
+    setSpawnMarkersVisible(visible) {
+        this.game.scene.children.forEach(obj => {
+            if (obj.userData.spawnPoint || obj.userData.spawnZone) obj.visible = visible;
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // GROUPS & PREFABS
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * World models and spawn markers - what the editor can select and export
+     */
+    getEditableObjects() {
+        return this.game.scene.children.filter(obj =>
+            obj.userData.worldCategory || obj.userData.spawnPoint || obj.userData.spawnZone);
+    }
+
+    /**
+     * A named group is the "group" field its members' world.json entries share.
+     * Returns every member of object's group, or just object when it is ungrouped.
+     */
+    getGroupMembers(object) {
+        const name = object.userData.worldEntry && object.userData.worldEntry.group;
+        if (!name) return [object];
+        return this.getEditableObjects().filter(obj => obj.userData.worldEntry && obj.userData.worldEntry.group === name);
+    }
+
+    uniqueGroupName(base) {
+        const names = new Set([
+            ...this.getEditableObjects().map(obj => obj.userData.worldEntry && obj.userData.worldEntry.group),
+            ...this.getPrefabNames()
+        ]);
+        let index = 2;
+        while (names.has(`${base}-${index}`)) index++;
+        return `${base}-${index}`;
+    }
+
+    getPrefabNames() {
+        return Object.keys((this.loadedWorldData && this.loadedWorldData.prefabs) || {});
+    }
+
+    /**
+     * world.json prefabs: { name: [{ category, model, x, y, z, scale, rotY, ... }] } with positions
+     * relative to origin. Spawn markers are not part of prefabs. Exported with the rest of world.json.
+     */
+    savePrefab(name, objects, origin) {
+        const entries = objects.filter(obj => obj.userData.worldCategory).map(obj => {
+            const entry = { ...obj.userData.worldEntry };
+            delete entry.group; // Placed copies get a group of their own
+            return {
+                category: obj.userData.worldCategory,
+                ...entry,
+                x: parseFloat((obj.position.x - origin.x).toFixed(2)),
+                y: parseFloat((obj.position.y - origin.y).toFixed(2)),
+                z: parseFloat((obj.position.z - origin.z).toFixed(2)),
+                scale: parseFloat(obj.scale.x.toFixed(3)),
+                rotY: parseFloat(obj.rotation.y.toFixed(4))
+            };
+        });
+        if (!entries.length) return null;
+
+        this.loadedWorldData.prefabs = { ...this.loadedWorldData.prefabs, [name]: entries };
+        return entries;
+    }
+
+    /**
+     * Load a prefab's models around origin as members of a new group. Resolves with the models that loaded.
+     */
+    instantiatePrefab(name, origin, group) {
+        const entries = (this.loadedWorldData.prefabs || {})[name] || [];
+        return Promise.all(entries.map(({ category, ...entry }) => this.loadWorldEntry(category, {
+            ...entry,
+            x: parseFloat((origin.x + entry.x).toFixed(2)),
+            y: parseFloat((origin.y + (entry.y || 0)).toFixed(2)),
+            z: parseFloat((origin.z + entry.z).toFixed(2)),
+            group
+        }))).then(models => models.filter(Boolean));
+    }
+
+    onLayoutChanged() {
+        // Debounced: dragging an object in the editor would otherwise re-bake every frame
+        if (this.navGrid.ready) this.navRebuildTimer = this.navRebuildDelay;
+    }
+
+    /**
+     * Load a GLB instance. Resolves with the model once it is in the scene (null if it failed to load).
+     */
     loadModel(config, isCollidable = false, isMoveable = false) {
         const shouldCollide = config.collidable !== undefined ? config.collidable : isCollidable;
 
@@ -102,7 +452,7 @@ export class World {
             path = `${config.path}/${config.model}`;
         }
 
-        this.loader.load(
+        return new Promise(resolve => this.loader.load(
             path,
             (gltf) => {
                 const model = gltf.scene;
@@ -151,7 +501,6 @@ export class World {
 
                     // Attach to model (so it moves/rotates/scales with it)
                     model.add(collisionMesh);
-                    this.collidables.push(collisionMesh);
                 }
 
                 // Apply transforms to the parent model
@@ -161,21 +510,24 @@ export class World {
                 if (config.rotY) model.rotation.y = config.rotY;
 
                 this.game.scene.add(model);
+                if (shouldCollide) this.registerColliders(model);
+                resolve(model);
             },
             undefined,
             (error) => {
                 console.error(`Error loading ${config.model}:`, error);
+                resolve(null);
             }
-        );
+        ));
     }
 
 
 
     update(delta) {
-        const time = Date.now() * 0.001;
-
-        // Animate orbs
-
+        if (this.navRebuildTimer > 0) {
+            this.navRebuildTimer -= delta;
+            if (this.navRebuildTimer <= 0) this.rebuildNavGrid();
+        }
     }
 
     getAsset(name) {
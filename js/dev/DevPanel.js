@@ -30,19 +30,11 @@ export function initDevPanel(hooks = {}) {
     body.hidden = !body.hidden;
   });
 
-  const actions = root.querySelector('.dev-actions');
   const defaults = [
     { label: 'Reload', fn: () => location.reload() },
-    { label: 'Clear save', fn: () => { localStorage.clear(); location.reload(); } },
+    { label: 'Clear save', fn: () => { hooks.clearSave?.(); localStorage.clear(); location.reload(); } },
   ];
-  const all = [...defaults, ...(hooks.actions || [])];
-  for (const a of all) {
-    const btn = document.createElement('button');
-    btn.type = 'button';
-    btn.textContent = a.label;
-    btn.addEventListener('click', a.fn);
-    actions.appendChild(btn);
-  }
+  addDevActions(root, [...defaults, ...(hooks.actions || [])]);
 
   const info = root.querySelector('.dev-info');
   const tick = () => {
@@ -52,3 +44,18 @@ export function initDevPanel(hooks = {}) {
   tick();
   return root;
 }
+
+/**
+ * Append action buttons to a panel from initDevPanel() (no-op when the panel is off).
+ */
+export function addDevActions(panel, list) {
+  if (!panel) return;
+  const actions = panel.querySelector('.dev-actions');
+  for (const a of list) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = a.label;
+    btn.addEventListener('click', a.fn);
+    actions.appendChild(btn);
+  }
+}
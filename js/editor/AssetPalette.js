@@ -0,0 +1,243 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { WORLD_CATEGORIES } from '../World.js';
+
+/**
+ * AssetPalette class - editor panel listing every CityPack model (assets/CityPack/manifest.json,
+ * generated by `npm run assets:manifest`) with search and offscreen-rendered thumbnails.
+ * Clicking an asset places it ahead of the camera as a new world.json entry (Player.placeAsset).
+ * world.json prefabs (saved from an editor selection, [Ctrl+B]) are listed first and placed as a
+ * new named group (Player.placePrefab).
+ */
+export class AssetPalette {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        this.assets = [];          // Manifest entries: { file, name, category }
+        this.manifestLoaded = null; // Promise, fetched on first open
+        this.thumbnails = new Map(); // file -> data URL
+        this.thumbnailQueue = [];
+        this.thumbnailSize = 96;
+        this.renderingThumbnails = false;
+        this.loader = new GLTFLoader();
+
+        // DOM
+        this.panel = document.getElementById('asset-palette');
+        this.search = document.getElementById('asset-search');
+        this.list = document.getElementById('asset-list');
+
+        // Offscreen thumbnail renderer (created on first use)
+        this.thumbRenderer = null;
+        this.thumbScene = null;
+        this.thumbCamera = null;
+    }
+
+    init() {
+        if (!this.panel) return;
+
+        this.search.addEventListener('input', () => this.filter());
+        this.search.addEventListener('keydown', (event) => {
+            if (event.code === 'Escape') this.close();
+        });
+        this.list.addEventListener('click', (event) => {
+            const item = event.target.closest('.asset-item');
+            if (!item) return;
+            if (item.dataset.prefab) this.placePrefab(item.dataset.prefab);
+            else this.place(item.dataset.file);
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    open() {
+        if (!this.panel) return;
+
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this.game.player.controls.unlock(); // Free the cursor; Player keeps the game running while open
+
+        this.loadManifest().then(() => {
+            this.search.focus();
+            this.queueThumbnails();
+        });
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        this.search.blur();
+        this.game.player.controls.lock();
+    }
+
+    loadManifest() {
+        if (!this.manifestLoaded) {
+            this.manifestLoaded = fetch('assets/CityPack/manifest.json')
+                .then(response => response.json())
+                .then(manifest => {
+                    this.assets = (manifest.assets || []).map(asset => this.validateAsset(asset));
+                    this.buildList();
+                })
+                .catch(error => console.error('Error loading asset manifest (npm run assets:manifest):', error));
+        }
+        return this.manifestLoaded;
+    }
+
+    /**
+     * Categories are hand-editable; one World doesn't know would break placement, so it becomes props
+     */
+    validateAsset(asset) {
+        if (WORLD_CATEGORIES[asset.category]) return asset;
+        console.warn(`Asset manifest: ${asset.file} has unknown category "${asset.category}", using props`);
+        return { ...asset, category: 'props' };
+    }
+
+    buildList() {
+        if (!this.list) return;
+
+        const prefabs = this.game.world.getPrefabNames().map(name => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'asset-item prefab';
+            item.dataset.prefab = name;
+            item.title = `${name} (prefab)`;
+            item.textContent = `★ ${name}`;
+            return item;
+        });
+
+        this.list.replaceChildren(...prefabs, ...this.assets.map(asset => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'asset-item';
+            item.dataset.file = asset.file;
+            item.title = `${asset.name} (${asset.category})`;
+
+            const thumbnail = document.createElement('img');
+            thumbnail.alt = '';
+            thumbnail.width = this.thumbnailSize;
+            thumbnail.height = this.thumbnailSize;
+
+            const label = document.createElement('span');
+            label.textContent = asset.name;
+
+            item.append(thumbnail, label);
+            return item;
+        }));
+        this.filter();
+    }
+
+    filter() {
+        const query = this.search.value.trim().toLowerCase();
+        this.list.querySelectorAll('.asset-item').forEach(item => {
+            item.hidden = query !== '' && !item.title.toLowerCase().includes(query);
+        });
+    }
+
+    place(file) {
+        const asset = this.assets.find(candidate => candidate.file === file);
+        if (!asset) return;
+
+        this.close();
+        this.game.player.placeAsset(asset);
+    }
+
+    placePrefab(name) {
+        this.close();
+        this.game.player.placePrefab(name);
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // THUMBNAILS
+    // ═══════════════════════════════════════════════════════════
+
+    queueThumbnails() {
+        this.thumbnailQueue = this.assets.filter(asset => !this.thumbnails.has(asset.file));
+        if (!this.renderingThumbnails) this.renderNextThumbnail();
+    }
+
+    /**
+     * One model at a time (load, render, dispose) so opening the palette doesn't stall a frame
+     */
+    renderNextThumbnail() {
+        const asset = this.thumbnailQueue.shift();
+        if (!asset || !this.isOpen) {
+            this.renderingThumbnails = false;
+            return;
+        }
+        this.renderingThumbnails = true;
+
+        this.loader.load(
+            `assets/CityPack/${asset.file}`,
+            (gltf) => {
+                this.thumbnails.set(asset.file, this.renderThumbnail(gltf.scene));
+                this.showThumbnail(asset.file);
+                this.disposeModel(gltf.scene);
+                requestAnimationFrame(() => this.renderNextThumbnail());
+            },
+            undefined,
+            (error) => {
+                console.error(`Error loading thumbnail for ${asset.file}:`, error);
+                this.thumbnails.set(asset.file, '');
+                requestAnimationFrame(() => this.renderNextThumbnail());
+            }
+        );
+    }
+
+    renderThumbnail(model) {
+        if (!this.thumbRenderer) {
+            this.thumbRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+            this.thumbRenderer.setSize(this.thumbnailSize, this.thumbnailSize);
+
+            this.thumbScene = new THREE.Scene();
+            this.thumbScene.add(new THREE.HemisphereLight(0xffffff, 0x444466, 2));
+            const sun = new THREE.DirectionalLight(0xffffff, 2);
+            sun.position.set(3, 5, 4);
+            this.thumbScene.add(sun);
+
+            this.thumbCamera = new THREE.PerspectiveCamera(35, 1, 0.01, 1000);
+        }
+
+        // Frame the model's bounds from a three-quarter view
+        const box = new THREE.Box3().setFromObject(model);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        const radius = Math.max(size.length() / 2, 0.001);
+        const distance = radius / Math.sin(THREE.MathUtils.degToRad(this.thumbCamera.fov / 2));
+
+        this.thumbCamera.position.copy(center).add(new THREE.Vector3(1, 0.8, 1).normalize().multiplyScalar(distance));
+        this.thumbCamera.near = distance / 100;
+        this.thumbCamera.far = distance * 3;
+        this.thumbCamera.lookAt(center);
+        this.thumbCamera.updateProjectionMatrix();
+
+        this.thumbScene.add(model);
+        this.thumbRenderer.render(this.thumbScene, this.thumbCamera);
+        this.thumbScene.remove(model);
+
+        return this.thumbRenderer.domElement.toDataURL('image/png');
+    }
+
+    showThumbnail(file) {
+        const item = [...this.list.querySelectorAll('.asset-item')].find(candidate => candidate.dataset.file === file);
+        const url = this.thumbnails.get(file);
+        if (item && url) item.querySelector('img').src = url;
+    }
+
+    disposeModel(model) {
+        model.traverse(child => {
+            if (!child.isMesh) return;
+            child.geometry.dispose();
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                Object.values(material).forEach(value => {
+                    if (value && value.isTexture) value.dispose();
+                });
+                material.dispose();
+            });
+        });
+    }
+}
@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+import { EditorHistory } from './EditorHistory.js';
+
+/**
+ * EditorGizmo class - translate / rotate / scale handles (three's TransformControls) on the
+ * editor selection (one object, or the pivot of a multi-selection). Each handle drag is one
+ * undoable EditorHistory entry; snapping follows the player's grid (editorStep) and angle
+ * (editorRotateStep) settings. Handles are limited to what world.json stores (rotY, one scale):
+ * rotation about Y only, and scale drags stay uniform.
+ */
+export class EditorGizmo {
+    static MODES = ['translate', 'rotate', 'scale'];
+
+    // TransformControls mode -> history label
+    static VERBS = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' };
+
+    constructor(game) {
+        this.game = game;
+        this.controls = null;
+        this.object = null;
+        this.dragStart = null; // Snapshot of the selection when a handle drag began
+        this.euler = new THREE.Euler();
+    }
+
+    init() {
+        this.controls = new TransformControls(this.game.camera, this.game.renderer.domElement);
+        this.game.scene.add(this.controls.getHelper());
+
+        this.controls.addEventListener('mouseDown', () => {
+            this.dragStart = EditorHistory.snapshot(this.game.player.editorSelection.list());
+        });
+        this.controls.addEventListener('objectChange', () => {
+            // Single-axis scale handles would stretch and the view ring tilts; keep what world.json can hold
+            if (this.controls.mode === 'scale') this.object.scale.setScalar(this.getDraggedScale());
+            if (this.controls.mode === 'rotate') {
+                const yaw = this.euler.setFromQuaternion(this.object.quaternion, 'YXZ').y;
+                this.object.rotation.set(0, yaw, 0);
+            }
+            this.game.world.invalidateColliders(this.object);
+            this.game.player.updateEditorHUD();
+        });
+        this.controls.addEventListener('mouseUp', () => this.recordDrag());
+    }
+
+    get isActive() {
+        return this.object !== null;
+    }
+
+    attach(object) {
+        this.object = object;
+        this.applySnap();
+        this.controls.attach(object);
+    }
+
+    detach() {
+        this.object = null;
+        this.dragStart = null;
+        this.controls.detach();
+    }
+
+    setMode(mode) {
+        if (!EditorGizmo.MODES.includes(mode)) return;
+        this.controls.setMode(mode);
+
+        // Only yaw is exported; X / Z rings would make edits that vanish on save
+        const rotating = mode === 'rotate';
+        this.controls.showX = !rotating;
+        this.controls.showZ = !rotating;
+        this.game.player.updateEditorHUD();
+    }
+
+    /**
+     * The scale component the current drag changed (the first axis of a plane handle; all three
+     * move together on the centre handle)
+     */
+    getDraggedScale() {
+        const axis = (this.controls.axis || 'X')[0].toLowerCase();
+        return this.object.scale[axis];
+    }
+
+    get mode() {
+        return this.controls ? this.controls.mode : EditorGizmo.MODES[0];
+    }
+
+    /**
+     * Grid / angle snap from the player's editor settings (0 = free)
+     */
+    applySnap() {
+        const player = this.game.player;
+        this.controls.setTranslationSnap(player.editorStep || null);
+        this.controls.setRotationSnap(player.editorRotateStep || null);
+        this.controls.setScaleSnap(player.editorStep ? 0.1 : null);
+    }
+
+    recordDrag() {
+        if (!this.object || !this.dragStart) return;
+
+        const objects = this.game.player.editorSelection.list();
+        const after = EditorHistory.snapshot(objects);
+        if (!EditorHistory.sameSnapshot(this.dragStart, after)) {
+            const history = this.game.player.editorHistory;
+            history.record(history.transform(EditorGizmo.VERBS[this.controls.mode], objects, this.dragStart, after));
+        }
+        this.dragStart = null;
+        this.game.player.updateEditorHUD();
+    }
+}
@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+
+/**
+ * EditorHistory class - undo/redo stack for the level editor.
+ * Editor actions apply immediately and are then recorded as commands ({ label, undo(), redo() });
+ * the helpers below build the commands for transforms, adding / removing scene objects and grouping.
+ * Every command covers one object or a whole selection. Repeated changes with the same mergeKey
+ * within mergeWindow ms merge into one entry (mouse-wheel scaling, holding Q).
+ */
+export class EditorHistory {
+    constructor(game) {
+        this.game = game;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxEntries = 100;
+        this.mergeWindow = 1000;
+    }
+
+    /**
+     * Record an already-applied command; a new action clears the redo stack
+     */
+    record(command) {
+        const last = this.undoStack[this.undoStack.length - 1];
+        const now = Date.now();
+        if (command.mergeKey && last && last.mergeKey === command.mergeKey && now - last.time < this.mergeWindow) {
+            last.merge(command);
+            last.time = now;
+        } else {
+            command.time = now;
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.maxEntries) this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.undo();
+        this.redoStack.push(command);
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        command.redo();
+        this.undoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Up to count timeline entries around the current point for the HUD, oldest first:
+     * [{ label, undone }] (undone entries are what Redo would re-apply)
+     */
+    getRecent(count = 5) {
+        const timeline = [
+            ...this.undoStack.map(command => ({ label: command.label, undone: false })),
+            ...[...this.redoStack].reverse().map(command => ({ label: command.label, undone: true }))
+        ];
+        // Keep the last applied entry and up to two redo entries in view
+        const end = Math.min(timeline.length, Math.max(count, this.undoStack.length + 2));
+        return timeline.slice(Math.max(0, end - count), end);
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // COMMANDS
+    // ═══════════════════════════════════════════════════════════
+
+    static objectName(object) {
+        return object.userData.zoneName || object.userData.modelName || object.name || 'object';
+    }
+
+    static describe(objects) {
+        return objects.length === 1 ? EditorHistory.objectName(objects[0]) : `${objects.length} objects`;
+    }
+
+    /**
+     * World transforms of objects ([{ position, quaternion, scale }]); works while they sit in a selection pivot
+     */
+    static snapshot(objects) {
+        return objects.map(object => {
+            object.updateWorldMatrix(true, false);
+            const state = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: new THREE.Vector3() };
+            object.matrixWorld.decompose(state.position, state.quaternion, state.scale);
+            return state;
+        });
+    }
+
+    static sameSnapshot(a, b) {
+        return a.every((state, i) => state.position.equals(b[i].position)
+            && state.quaternion.equals(b[i].quaternion)
+            && state.scale.equals(b[i].scale));
+    }
+
+    /**
+     * objects were moved / rotated / scaled from the before to the after snapshot.
+     * Undo / redo run with the objects back in the scene (the editor drops its selection first).
+     */
+    transform(verb, objects, before, after, mergeKey = null) {
+        const world = this.game.world;
+        const apply = snapshot => objects.forEach((object, i) => {
+            object.position.copy(snapshot[i].position);
+            object.quaternion.copy(snapshot[i].quaternion);
+            object.scale.copy(snapshot[i].scale);
+            world.invalidateColliders(object);
+        });
+
+        return {
+            label: `${verb} ${EditorHistory.describe(objects)}`,
+            mergeKey,
+            before,
+            after,
+            undo() { apply(this.before); },
+            redo() { apply(this.after); },
+            merge(next) { this.after = next.after; }
+        };
+    }
+
+    /**
+     * objects were just added to the scene (clone, stamp, duplicate, placed asset / prefab / spawn marker)
+     */
+    add(verb, objects) {
+        const list = [].concat(objects);
+        return {
+            label: `${verb} ${EditorHistory.describe(list)}`,
+            undo: () => list.forEach(object => this.detach(object)),
+            redo: () => list.forEach(object => this.attach(object))
+        };
+    }
+
+    /**
+     * objects were just removed from the scene (delete); undo puts them back as they were
+     */
+    remove(verb, objects) {
+        const list = [].concat(objects);
+        return {
+            label: `${verb} ${EditorHistory.describe(list)}`,
+            undo: () => list.forEach(object => this.attach(object)),
+            redo: () => list.forEach(object => this.detach(object))
+        };
+    }
+
+    /**
+     * objects' world.json group (userData.worldEntry.group) was set to name (null = ungrouped);
+     * previous holds each object's old name
+     */
+    group(verb, objects, name, previous) {
+        const apply = names => objects.forEach((object, i) => setGroup(object, names[i]));
+        const after = objects.map(() => name);
+        return {
+            label: `${verb} ${EditorHistory.describe(objects)}${name ? ` as "${name}"` : ''}`,
+            undo: () => apply(previous),
+            redo: () => apply(after)
+        };
+    }
+
+    attach(object) {
+        this.game.scene.add(object);
+        this.game.world.registerColliders(object);
+    }
+
+    detach(object) {
+        this.game.scene.remove(object);
+        this.game.world.removeColliders(object);
+    }
+}
+
+function setGroup(object, name) {
+    const entry = object.userData.worldEntry || (object.userData.worldEntry = {});
+    if (name) entry.group = name;
+    else delete entry.group;
+}
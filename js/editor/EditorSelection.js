@@ -0,0 +1,129 @@
+import * as THREE from 'three';
+
+/**
+ * EditorSelection class - the objects the level editor acts on. Shift-click and the marquee add
+ * to it, named groups select together, and every member gets a box outline. A multi-selection is
+ * carried, rotated and scaled as one: gather() parents the members under a temporary pivot at the
+ * selection's bottom centre, scatter() hands them back to the scene with the pivot's transform applied.
+ */
+export class EditorSelection {
+    constructor(game) {
+        this.game = game;
+        this.objects = [];
+        this.outlines = new Map(); // object -> BoxHelper
+        this.outlineColor = 0xffd400;
+        this.pivot = null;
+    }
+
+    get size() {
+        return this.objects.length;
+    }
+
+    list() {
+        return [...this.objects];
+    }
+
+    has(object) {
+        return this.objects.includes(object);
+    }
+
+    set(objects) {
+        this.clear();
+        this.add(objects);
+    }
+
+    add(objects) {
+        [].concat(objects).forEach(object => {
+            if (this.has(object)) return;
+            this.objects.push(object);
+
+            const outline = new THREE.BoxHelper(object, this.outlineColor);
+            this.game.scene.add(outline);
+            this.outlines.set(object, outline);
+        });
+    }
+
+    remove(objects) {
+        [].concat(objects).forEach(object => {
+            const outline = this.outlines.get(object);
+            if (!outline) return;
+
+            this.game.scene.remove(outline);
+            outline.geometry.dispose();
+            outline.material.dispose();
+            this.outlines.delete(object);
+            this.objects.splice(this.objects.indexOf(object), 1);
+        });
+    }
+
+    /**
+     * Shift-click: objects (one, or a whole named group) leave the selection if all are in it, else join it
+     */
+    toggle(objects) {
+        const list = [].concat(objects);
+        if (list.every(object => this.has(object))) this.remove(list);
+        else this.add(list);
+    }
+
+    clear() {
+        this.remove(this.list());
+    }
+
+    /**
+     * Drop members that are no longer in the scene (deleted, or their placement was undone)
+     */
+    prune() {
+        this.remove(this.objects.filter(object => !object.parent));
+    }
+
+    update() {
+        this.outlines.forEach(outline => outline.update());
+    }
+
+    /**
+     * Name of the world.json group every member belongs to ('' when ungrouped or mixed)
+     */
+    getGroupName() {
+        const names = new Set(this.objects.map(object => (object.userData.worldEntry && object.userData.worldEntry.group) || ''));
+        return names.size === 1 ? [...names][0] : '';
+    }
+
+    /**
+     * Centre of the selection's bounds on X/Z, at its lowest point - the pivot for carrying and prefabs
+     */
+    getPivotPoint() {
+        const box = new THREE.Box3();
+        this.objects.forEach(object => box.expandByObject(object));
+        const point = box.getCenter(new THREE.Vector3());
+        point.y = box.min.y;
+        return point;
+    }
+
+    /**
+     * The object to carry / put the gizmo on: the only member, or a pivot holding all of them
+     */
+    gather() {
+        if (this.objects.length === 1) return this.objects[0];
+
+        this.pivot = new THREE.Group();
+        this.pivot.name = 'SelectionPivot';
+        this.pivot.userData.selectionPivot = true;
+        this.pivot.position.copy(this.getPivotPoint());
+        this.game.scene.add(this.pivot);
+
+        this.objects.forEach(object => this.pivot.attach(object)); // attach() keeps world transforms
+        return this.pivot;
+    }
+
+    scatter() {
+        if (!this.pivot) return;
+
+        const scene = this.game.scene;
+        this.objects.forEach(object => {
+            scene.attach(object);
+            this.game.world.invalidateColliders(object);
+        });
+        scene.remove(this.pivot);
+        this.pivot = null;
+    }
+}
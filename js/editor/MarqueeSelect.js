@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+
+/**
+ * MarqueeSelect class - editor selection with a free cursor ([M]). Left-drag on the canvas draws
+ * #editor-marquee and selects every world object whose bounds centre falls inside it; a plain
+ * click selects the object under the cursor. Shift-drag adds to the selection, Shift-click toggles;
+ * Alt picks single members of named groups.
+ */
+export class MarqueeSelect {
+    constructor(game) {
+        this.game = game;
+        this.isActive = false;
+        this.dragStart = null; // Client coordinates of the left-button press
+        this.clickRadius = 4;  // Drags smaller than this (px) are clicks
+        this.raycaster = new THREE.Raycaster();
+        this.box = document.getElementById('editor-marquee');
+    }
+
+    init() {
+        this.game.renderer.domElement.addEventListener('mousedown', (event) => this.onMouseDown(event));
+        document.addEventListener('mousemove', (event) => this.onMouseMove(event));
+        document.addEventListener('mouseup', (event) => this.onMouseUp(event));
+    }
+
+    toggle() {
+        if (this.isActive) this.stop();
+        else this.start();
+    }
+
+    start() {
+        this.isActive = true;
+        this.game.player.controls.unlock(); // Player keeps the game running while the marquee is active
+        this.game.player.updateEditorHUD();
+    }
+
+    stop() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.dragStart = null;
+        if (this.box) this.box.hidden = true;
+        this.game.player.controls.lock();
+        this.game.player.updateEditorHUD();
+    }
+
+    onMouseDown(event) {
+        if (!this.isActive || event.button !== 0) return;
+        this.dragStart = { x: event.clientX, y: event.clientY };
+        this.draw(event);
+    }
+
+    onMouseMove(event) {
+        if (this.dragStart) this.draw(event);
+    }
+
+    onMouseUp(event) {
+        if (!this.dragStart || event.button !== 0) return;
+
+        const rect = this.getRect(event);
+        this.dragStart = null;
+        if (this.box) this.box.hidden = true;
+
+        const isClick = rect.right - rect.left < this.clickRadius && rect.bottom - rect.top < this.clickRadius;
+        const objects = isClick ? this.pickAt(event) : this.pickInRect(rect);
+        const mode = !event.shiftKey ? 'set' : (isClick ? 'toggle' : 'add');
+        this.game.player.selectObjects(objects, mode, !event.altKey);
+    }
+
+    getRect(event) {
+        return {
+            left: Math.min(this.dragStart.x, event.clientX),
+            top: Math.min(this.dragStart.y, event.clientY),
+            right: Math.max(this.dragStart.x, event.clientX),
+            bottom: Math.max(this.dragStart.y, event.clientY)
+        };
+    }
+
+    draw(event) {
+        if (!this.box) return;
+
+        const rect = this.getRect(event);
+        Object.assign(this.box.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.right - rect.left}px`,
+            height: `${rect.bottom - rect.top}px`
+        });
+        this.box.hidden = false;
+    }
+
+    /**
+     * Editable objects whose bounds centre projects inside rect (client pixels)
+     */
+    pickInRect(rect) {
+        const camera = this.game.camera;
+        const canvas = this.game.renderer.domElement.getBoundingClientRect();
+        const box = new THREE.Box3();
+        const center = new THREE.Vector3();
+
+        return this.game.world.getEditableObjects().filter(object => {
+            if (!object.visible) return false;
+
+            box.setFromObject(object).getCenter(center).project(camera);
+            if (center.z < -1 || center.z > 1) return false; // Behind the camera / past the far plane
+
+            const x = canvas.left + (center.x + 1) / 2 * canvas.width;
+            const y = canvas.top + (1 - center.y) / 2 * canvas.height;
+            return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+        });
+    }
+
+    /**
+     * The editable object under the cursor ([] if none)
+     */
+    pickAt(event) {
+        const canvas = this.game.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            (event.clientX - canvas.left) / canvas.width * 2 - 1,
+            -(event.clientY - canvas.top) / canvas.height * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.game.camera);
+
+        const objects = this.game.world.getEditableObjects().filter(object => object.visible);
+        const hit = this.raycaster.intersectObjects(objects, true)[0];
+        if (!hit) return [];
+
+        let target = hit.object;
+        while (!objects.includes(target)) target = target.parent;
+        return [target];
+    }
+}
@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+/**
+ * TransformInspector class - numeric fields in #editor-hud for the selection's position,
+ * rotation (Y, degrees) and uniform scale, plus the grid / angle snap settings and the
+ * selection's group name. Fields are editable while the cursor is free (gizmo mode [F],
+ * marquee [M]); edits go through Player.editSelection() / groupSelection() so they are
+ * undoable like the keyboard and gizmo edits.
+ */
+export class TransformInspector {
+    constructor(game) {
+        this.game = game;
+        this.root = document.getElementById('editor-inspector');
+        this.inputs = {};
+    }
+
+    init() {
+        if (!this.root) return;
+
+        this.root.querySelectorAll('input[data-field]').forEach(input => {
+            this.inputs[input.dataset.field] = input;
+        });
+        this.root.addEventListener('change', (event) => this.onChange(event.target));
+        this.root.addEventListener('keydown', (event) => {
+            if (event.code === 'Enter') event.target.blur();
+        });
+    }
+
+    /**
+     * Refresh from the selection (fields being typed into are left alone)
+     */
+    update(object) {
+        if (!this.root) return;
+
+        const player = this.game.player;
+        this.root.classList.toggle('no-selection', !object);
+        this.root.classList.toggle('empty-selection', !player.editorSelection.size);
+
+        const group = this.inputs.group;
+        if (group && document.activeElement !== group) group.value = player.editorSelection.getGroupName();
+
+        const values = {
+            grid: player.editorStep,
+            angle: THREE.MathUtils.radToDeg(player.editorRotateStep)
+        };
+        if (object) {
+            Object.assign(values, {
+                x: object.position.x,
+                y: object.position.y,
+                z: object.position.z,
+                rotY: THREE.MathUtils.radToDeg(object.rotation.y),
+                scale: object.scale.x
+            });
+        }
+
+        Object.entries(values).forEach(([field, value]) => {
+            const input = this.inputs[field];
+            if (input && document.activeElement !== input) input.value = parseFloat(value.toFixed(3));
+        });
+    }
+
+    onChange(input) {
+        const field = input.dataset.field;
+        const player = this.game.player;
+
+        if (field === 'group') {
+            player.groupSelection(input.value.trim() || null); // Empty = ungroup
+            return;
+        }
+
+        const value = parseFloat(input.value);
+
+        if (Number.isNaN(value)) {
+            this.update(player.selectedObject); // Restore
+            return;
+        }
+
+        switch (field) {
+            case 'grid':
+                player.setSnap(Math.max(0, value), player.editorRotateStep);
+                break;
+            case 'angle':
+                player.setSnap(player.editorStep, THREE.MathUtils.degToRad(Math.max(0, value)));
+                break;
+            case 'x':
+            case 'y':
+            case 'z':
+                player.editSelection('Move', 'position', obj => { obj.position[field] = value; });
+                break;
+            case 'rotY':
+                player.editSelection('Rotate', 'rotation', obj => { obj.rotation.y = THREE.MathUtils.degToRad(value); });
+                break;
+            case 'scale':
+                player.editSelection('Scale', 'scale', obj => { obj.scale.setScalar(Math.max(0.001, value)); });
+                break;
+        }
+    }
+}
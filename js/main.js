@@ -1,11 +1,22 @@
 import * as THREE from 'three';
 import { Game } from './Game.js';
-import { initDevPanel } from './dev/DevPanel.js';
+import { initDevPanel, addDevActions } from './dev/DevPanel.js';
 
 // Initialize the game when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     const game = new Game();
-    game.init();
-    window.game = game;
-    initDevPanel({ getStatus: () => '3dfps dev' });
+    const devPanel = initDevPanel({
+        getStatus: () => '3dfps dev',
+        clearSave: () => game.saveManager.clear() // Also stops the unload save from restoring it
+    });
+
+    // init() is async (data/game.json): expose the game and the actions that need it once it is ready
+    game.init().then(() => {
+        window.game = game;
+        addDevActions(devPanel, [
+            { label: 'Reload data', fn: () => game.reloadGameData() },
+            { label: 'Slow-mo', fn: () => game.setTimeScale(game.timeScale === 1 ? 0.25 : 1) },
+            { label: 'Freeze', fn: () => game.setTimeScale(game.timeScale === 0 ? 1 : 0) }
+        ]);
+    }).catch(error => console.error('Game failed to initialize:', error));
 });
@@ -0,0 +1,51 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Lists assets/CityPack/*.glb into assets/CityPack/manifest.json for the editor's asset palette.
+ * category (the world.json list a placed model goes into) is guessed from the file name's words;
+ * hand edits to an existing manifest's categories are kept on re-run.
+ */
+const root = path.resolve(import.meta.dirname, '..');
+const packDir = path.join(root, 'assets', 'CityPack');
+const manifestPath = path.join(packDir, 'manifest.json');
+
+const VEHICLE_WORDS = ['Car', 'Bus', 'Truck', 'Van', 'SUV', 'Motorcycle', 'Police'];
+
+// world.json model lists (js/World.js WORLD_CATEGORIES)
+const CATEGORIES = ['buildings', 'vehicles', 'props'];
+
+/**
+ * A kept hand edit, else the guess; a category World doesn't know falls back to props
+ */
+function pickCategory(file, name) {
+  const category = previous.get(file)?.category || guessCategory(name);
+  if (CATEGORIES.includes(category)) return category;
+  console.warn(`asset manifest: ${file} has unknown category "${category}", using props`);
+  return 'props';
+}
+
+function guessCategory(name) {
+  const words = name.split(/[\s\-_]+/);
+  const isStop = words.some(word => word.toLowerCase() === 'stop'); // "Bus Stop" is street furniture
+  if (words.includes('Building') || words.includes('Corner')) return 'buildings';
+  if (VEHICLE_WORDS.some(word => words.includes(word)) && !isStop) return 'vehicles';
+  return 'props';
+}
+
+const previous = new Map();
+if (fs.existsSync(manifestPath)) {
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  for (const asset of manifest.assets || []) previous.set(asset.file, asset);
+}
+
+const assets = fs.readdirSync(packDir)
+  .filter(file => file.toLowerCase().endsWith('.glb'))
+  .sort((a, b) => a.localeCompare(b))
+  .map(file => {
+    const name = file.replace(/\.glb$/i, '');
+    return { file, name, category: pickCategory(file, name) };
+  });
+
+fs.writeFileSync(manifestPath, JSON.stringify({ generatedBy: 'scripts/build-asset-manifest.mjs', assets }, null, 2) + '\n');
+console.log(`asset manifest: ${assets.length} models -> ${path.relative(root, manifestPath)}`);